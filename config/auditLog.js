@@ -0,0 +1,135 @@
+import {
+  auditCollection,
+  foodCollection,
+  messageCollection,
+  orderCollection,
+  requestedCollection,
+  reviewCollection,
+  uploadCollection,
+} from "./dbCollections.js";
+import { toObjectId } from "../utils/httpError.js";
+
+/**
+ * What can be audited. `find` turns an entity id into a filter, `parseId`
+ * turns an id from a URL into one, and `parties` lists who may read the
+ * entity's history besides admins.
+ */
+const AUDIT_ENTITIES = {
+  food: {
+    collection: foodCollection,
+    find: (id) => ({ _id: id }),
+    parseId: toObjectId,
+    parties: (food) => [food.userEmail],
+  },
+  request: {
+    collection: requestedCollection,
+    find: (id) => ({ _id: id }),
+    parseId: toObjectId,
+    parties: (request) => [request.donorEmail, request.user],
+  },
+  order: {
+    collection: orderCollection,
+    find: (id) => ({ _id: id }),
+    parseId: toObjectId,
+    parties: (order) => [order.ownerEmail, order.userEmail],
+  },
+  message: {
+    collection: messageCollection,
+    find: (id) => ({ _id: id }),
+    parseId: toObjectId,
+    parties: (message) => [message.senderEmail, message.recipientEmail],
+  },
+  review: {
+    collection: reviewCollection,
+    find: (id) => ({ _id: id }),
+    parseId: toObjectId,
+    parties: (review) => [review.reviewerEmail, review.revieweeEmail],
+  },
+  // Uploads are addressed by their storage key
+  upload: {
+    collection: uploadCollection,
+    find: (key) => ({ key }),
+    parseId: (key) => key,
+    parties: (upload) => [upload.ownerEmail],
+  },
+};
+
+export const AUDIT_ENTITY_TYPES = Object.keys(AUDIT_ENTITIES);
+
+/**
+ * Entity id as stored in the audit log, from a route parameter
+ * @param {string} entityType - One of AUDIT_ENTITY_TYPES
+ * @param {string} id
+ * @returns {ObjectId|string}
+ */
+export const parseEntityId = (entityType, id) => AUDIT_ENTITIES[entityType].parseId(id);
+
+// Dates and ObjectIds compare by their JSON form, like they are sent to clients
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Fields that differ between two snapshots of a document
+ * @param {Object|null} before - Document before the write, null when created
+ * @param {Object|null} after - Document after the write, null when deleted
+ * @returns {Object} `{ field: { from, to } }`, missing values are null
+ */
+export const diffSnapshots = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.delete("_id");
+
+  const changes = {};
+  for (const field of fields) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (!sameValue(from, to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+};
+
+/**
+ * Current state of an audited entity
+ * @param {string} entityType - One of AUDIT_ENTITY_TYPES
+ * @param {ObjectId|string} id
+ * @returns {Promise<Object|null>}
+ */
+export const loadSnapshot = (entityType, id) => {
+  const { collection, find } = AUDIT_ENTITIES[entityType];
+  return collection.findOne(find(id));
+};
+
+/**
+ * Store one audit entry for a write. Writes that changed nothing are skipped.
+ * The action is create, update or delete going by the snapshots unless the
+ * route names it, e.g. a soft delete is an update of `deletedAt`.
+ * @param {Object} entry
+ * @param {string} entry.entityType
+ * @param {ObjectId|string} entry.entityId
+ * @param {Object|null} entry.before - Snapshot taken before the route ran
+ * @param {Object|null} entry.after - Snapshot taken after it responded
+ * @param {Object} entry.actor - `req.user`
+ * @param {string} entry.route - e.g. `PUT /foods/update-food/:id`
+ * @param {string} [entry.action] - Overrides the action worked out from the snapshots
+ * @returns {Promise<ObjectId|null>} Id of the entry, null when skipped
+ */
+export const recordAudit = async ({ entityType, entityId, before, after, actor, route, action }) => {
+  const changes = diffSnapshots(before, after);
+  if (!Object.keys(changes).length) return null;
+
+  const { parties } = AUDIT_ENTITIES[entityType];
+  const { insertedId } = await auditCollection.insertOne({
+    entityType,
+    entityId,
+    action: action || (!before ? "create" : !after ? "delete" : "update"),
+    actorEmail: actor?.email ?? null,
+    actorName: actor?.name ?? null,
+    actorRole: actor?.role ?? null,
+    route,
+    changes,
+    // Kept on the entry so the history stays readable after a delete
+    parties: [...new Set(parties(after || before).filter(Boolean))],
+    createdAt: new Date(),
+  });
+  return insertedId;
+};
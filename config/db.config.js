@@ -31,4 +31,19 @@ const getDB = () => {
   return client.db("Food-Share");
 };
 
-export { connectDB, getDB };
+/**
+ * Run `fn` inside a transaction. Every operation in `fn` must be passed the
+ * session it receives, otherwise it runs outside the transaction.
+ * @param {(session: import("mongodb").ClientSession) => Promise<any>} fn
+ * @returns {Promise<any>} Whatever `fn` resolves to
+ */
+const withTransaction = async (fn) => {
+  const session = client.startSession();
+  try {
+    return await session.withTransaction(() => fn(session));
+  } finally {
+    await session.endSession();
+  }
+};
+
+export { connectDB, getDB, withTransaction };
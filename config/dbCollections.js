@@ -3,3 +3,14 @@ const db = getDB();
 export const foodCollection = db.collection("foodCollection");
 export const orderCollection = db.collection("orderCollection");
 export const requestedCollection = db.collection("requestedCollection");
+export const userCollection = db.collection("userCollection");
+export const refreshTokenCollection = db.collection("refreshTokenCollection");
+export const outboxCollection = db.collection("outboxCollection");
+export const notificationCollection = db.collection("notificationCollection");
+export const emailDigestCollection = db.collection("emailDigestCollection");
+export const messageCollection = db.collection("messageCollection");
+export const reviewCollection = db.collection("reviewCollection");
+export const uploadCollection = db.collection("uploadCollection");
+export const auditCollection = db.collection("auditCollection");
+export const rateLimitCollection = db.collection("rateLimitCollection");
+export const idempotencyCollection = db.collection("idempotencyCollection");
@@ -0,0 +1,77 @@
+import {
+  foodCollection,
+  userCollection,
+  refreshTokenCollection,
+  requestedCollection,
+  orderCollection,
+  outboxCollection,
+  notificationCollection,
+  emailDigestCollection,
+  messageCollection,
+  reviewCollection,
+  uploadCollection,
+  auditCollection,
+  rateLimitCollection,
+  idempotencyCollection,
+} from "./dbCollections.js";
+import { OPEN_REQUEST_STATUSES, cancelDuplicateOpenRequests } from "./requestWorkflow.js";
+
+/**
+ * Create the indexes the routes rely on. Safe to call on every boot,
+ * createIndex is a no-op when an identical index already exists.
+ */
+export const ensureIndexes = async () => {
+  await Promise.all([
+    userCollection.createIndex({ email: 1 }, { unique: true }),
+    refreshTokenCollection.createIndex({ tokenHash: 1 }, { unique: true }),
+    refreshTokenCollection.createIndex({ familyId: 1 }),
+    // Mongo removes refresh tokens on its own once they are past expiry
+    refreshTokenCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+    foodCollection.createIndex({ status: 1, exDate: 1 }),
+    foodCollection.createIndex({ geo: "2dsphere" }),
+    foodCollection.createIndex(
+      { foodName: "text", description: "text", location: "text" },
+      {
+        name: "food_text_search",
+        weights: { foodName: 10, location: 5, description: 2 },
+      }
+    ),
+    requestedCollection.createIndex({ foodId: 1, status: 1 }),
+    requestedCollection.createIndex({ donorEmail: 1, createdAt: -1 }),
+    orderCollection.createIndex({ foodId: 1, status: 1 }),
+    outboxCollection.createIndex({ status: 1, nextAttemptAt: 1 }),
+    notificationCollection.createIndex({ userEmail: 1, readAt: 1, _id: -1 }),
+    emailDigestCollection.createIndex({ digestedAt: 1, createdAt: 1 }),
+    messageCollection.createIndex({ threadType: 1, threadId: 1, _id: -1 }),
+    messageCollection.createIndex({ readAt: 1, nudgedAt: 1, createdAt: 1 }),
+    // One review per party per request or order
+    reviewCollection.createIndex(
+      { transactionType: 1, transactionId: 1, reviewerEmail: 1 },
+      { unique: true }
+    ),
+    reviewCollection.createIndex({ revieweeEmail: 1 }),
+    uploadCollection.createIndex({ key: 1 }, { unique: true }),
+    foodCollection.createIndex({ foodImg: 1 }),
+    foodCollection.createIndex({ userEmail: 1, deletedAt: 1 }),
+    auditCollection.createIndex({ entityType: 1, entityId: 1, _id: -1 }),
+    requestedCollection.createIndex({ user: 1, status: 1 }),
+    rateLimitCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+    idempotencyCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+    // One open request per user and listing ($in in a partial index needs MongoDB 6).
+    // The API relies on it, so a failure stops the boot. Duplicates from before
+    // the index existed are cancelled first.
+    cancelDuplicateOpenRequests().then((cancelled) => {
+      if (cancelled) {
+        console.warn(`Cancelled ${cancelled} duplicate open requests before indexing`);
+      }
+      return requestedCollection.createIndex(
+        { foodId: 1, user: 1 },
+        {
+          name: "one_open_request_per_user",
+          unique: true,
+          partialFilterExpression: { status: { $in: OPEN_REQUEST_STATUSES } },
+        }
+      );
+    }),
+  ]);
+};
@@ -0,0 +1,62 @@
+import { emailDigestCollection } from "./dbCollections.js";
+import { sendDigestEmail } from "./emailService.js";
+
+const DIGEST_HOUR_UTC = Number(process.env.DIGEST_HOUR_UTC ?? 8);
+
+/**
+ * Most recent digest time (DIGEST_HOUR_UTC, default 08:00 UTC) at or before `now`.
+ * Events queued before it go out in that day's digest, later ones wait a day.
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export const digestCutoff = (now = new Date()) => {
+  const cutoff = new Date(now);
+  cutoff.setUTCHours(DIGEST_HOUR_UTC, 0, 0, 0);
+  if (cutoff > now) cutoff.setUTCDate(cutoff.getUTCDate() - 1);
+  return cutoff;
+};
+
+/**
+ * Send each user with pending digest entries one email listing them.
+ * Safe to run often, entries are claimed before sending so a user gets
+ * each one once.
+ * @returns {Promise<number>} Number of digests sent
+ */
+export const sendDigests = async () => {
+  const recipients = await emailDigestCollection.distinct("userEmail", {
+    digestedAt: null,
+    createdAt: { $lt: digestCutoff() },
+  });
+
+  let sent = 0;
+  for (const userEmail of recipients) {
+    const digestedAt = new Date();
+    const { modifiedCount } = await emailDigestCollection.updateMany(
+      { userEmail, digestedAt: null, createdAt: { $lt: digestCutoff() } },
+      { $set: { digestedAt } }
+    );
+    if (!modifiedCount) continue;
+
+    const items = await emailDigestCollection
+      .find({ userEmail, digestedAt })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    const result = await sendDigestEmail({
+      recipientEmail: userEmail,
+      recipientName: items.find((item) => item.recipientName)?.recipientName,
+      items,
+    });
+    if (!result.success) {
+      // Put them back for the next run
+      await emailDigestCollection.updateMany(
+        { userEmail, digestedAt },
+        { $set: { digestedAt: null } }
+      );
+      continue;
+    }
+    sent += 1;
+  }
+
+  return sent;
+};
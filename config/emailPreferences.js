@@ -0,0 +1,107 @@
+import crypto from "crypto";
+import { userCollection } from "./dbCollections.js";
+
+export const EMAIL_MODES = ["instant", "digest", "off"];
+
+// Events a user can choose how to hear about, keyed like the email templates
+export const EMAIL_EVENT_TYPES = [
+  "food-request",
+  "bulk-order",
+  "request-status",
+  "order-status",
+  "listing-expired",
+  "listing-expiring-soon",
+  "unread-messages",
+];
+
+const DEFAULT_PREFERENCES = Object.fromEntries(
+  EMAIL_EVENT_TYPES.map((type) => [type, "instant"])
+);
+
+/**
+ * A user's email preferences with defaults filled in. Addresses without an
+ * account get the defaults.
+ * @param {string} email
+ * @returns {Promise<Object>} `{ [eventType]: "instant" | "digest" | "off" }`
+ */
+export const getEmailPreferences = async (email) => {
+  const user = await userCollection.findOne(
+    { email },
+    { projection: { emailPreferences: 1 } }
+  );
+  return { ...DEFAULT_PREFERENCES, ...user?.emailPreferences };
+};
+
+/**
+ * Change some of a user's email preferences
+ * @param {string} email
+ * @param {Object} changes - `{ [eventType]: mode }`, other types are left alone
+ * @returns {Promise<Object|null>} Updated preferences, null if there is no such user
+ */
+export const updateEmailPreferences = async (email, changes) => {
+  const $set = { updatedAt: new Date() };
+  for (const [type, mode] of Object.entries(changes)) {
+    $set[`emailPreferences.${type}`] = mode;
+  }
+
+  const user = await userCollection.findOneAndUpdate(
+    { email },
+    { $set },
+    { returnDocument: "after", projection: { emailPreferences: 1 } }
+  );
+  return user && { ...DEFAULT_PREFERENCES, ...user.emailPreferences };
+};
+
+// Unsubscribe links never expire, so they are signed with their own secret
+// rather than anything that gets rotated, like the JWT secret. index.js
+// refuses to start without it.
+const sign = (payload) =>
+  crypto
+    .createHmac("sha256", process.env.UNSUBSCRIBE_SECRET)
+    .update(payload)
+    .digest("base64url");
+
+/**
+ * Signed token that turns one event type (or "all") off for an address
+ * @param {string} email
+ * @param {string} type - Event type or "all"
+ * @returns {string}
+ */
+export const createUnsubscribeToken = (email, type) => {
+  const payload = Buffer.from(JSON.stringify({ e: email, t: type })).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * @param {string} token - From createUnsubscribeToken
+ * @returns {{email: string, type: string}|null} null when the signature does not match
+ */
+export const verifyUnsubscribeToken = (token) => {
+  const [payload, signature = ""] = String(token).split(".");
+  const expected = sign(payload);
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return null;
+  }
+
+  try {
+    const { e, t } = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (t !== "all" && !EMAIL_EVENT_TYPES.includes(t)) return null;
+    return { email: e, type: t };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * One-click unsubscribe link included in every email
+ * @param {string} email - Recipient
+ * @param {string} type - Event type the email is about, or "all"
+ * @returns {string}
+ */
+export const unsubscribeUrl = (email, type) => {
+  const base = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
+  return `${base}/notifications/unsubscribe?token=${createUnsubscribeToken(email, type)}`;
+};
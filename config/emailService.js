@@ -1,17 +1,91 @@
-import nodemailer from "nodemailer";
 import dotenv from "dotenv";
+import { enqueueEmail } from "./mailOutbox.js";
+import { renderEmail } from "./emailTemplates.js";
+import { emailDigestCollection } from "./dbCollections.js";
+import { getEmailPreferences, unsubscribeUrl } from "./emailPreferences.js";
+import { buildIcs } from "../utils/ical.js";
+import { PICKUP_TIME_ZONE } from "../utils/timeZone.js";
 
 dotenv.config();
 
-// Create reusable transporter
-const transporter = nodemailer.createTransport({
-  host: process.env.EMAIL_HOST,
-  port: process.env.EMAIL_PORT,
-  secure: false, // true for 465, false for other ports
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
+const queueEmail = (template, to, data, { unsubscribeType = template, attachments } = {}) => {
+  const unsubscribe = unsubscribeUrl(to, unsubscribeType);
+  return enqueueEmail(
+    {
+      from: `"Food Sharing Platform" <${process.env.EMAIL_FROM}>`,
+      to,
+      ...renderEmail(template, { ...data, unsubscribeUrl: unsubscribe }),
+      ...(attachments?.length && { attachments }),
+      // Lets mail clients show their own one-click unsubscribe button
+      headers: {
+        "List-Unsubscribe": `<${unsubscribe}>`,
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+      },
+    },
+    template
+  );
+};
+
+/**
+ * Send, batch or drop an email depending on the recipient's preference for
+ * this event type. Digests only list the subject, attachments are dropped.
+ * @returns {Promise<{delivery: string, outboxId?: ObjectId}>}
+ */
+const queueTemplatedEmail = async (template, to, data, attachments) => {
+  const delivery = (await getEmailPreferences(to))[template];
+  if (delivery === "off") {
+    return { delivery };
+  }
+
+  if (delivery === "digest") {
+    await emailDigestCollection.insertOne({
+      userEmail: to,
+      recipientName: data.recipientName || null,
+      type: template,
+      subject: renderEmail(template, data).subject,
+      createdAt: new Date(),
+      digestedAt: null,
+    });
+    return { delivery };
+  }
+
+  return { delivery, outboxId: await queueEmail(template, to, data, { attachments }) };
+};
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-GB", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+  });
+
+// "24 Oct 2026, 17:00 - 18:00 UTC"
+const formatPickupWindow = ({ start, end }) => {
+  const time = { hour: "2-digit", minute: "2-digit", timeZone: PICKUP_TIME_ZONE };
+  const day = new Date(start).toLocaleDateString("en-GB", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    timeZone: PICKUP_TIME_ZONE,
+  });
+  const from = new Date(start).toLocaleTimeString("en-GB", time);
+  const to = new Date(end).toLocaleTimeString("en-GB", { ...time, timeZoneName: "short" });
+  return `${day}, ${from} - ${to}`;
+};
+
+// Calendar invite for a booked pickup, the same uid lets a later email cancel it
+const pickupInvite = ({ requestId, pickupSlot, foodName, location, cancelled = false }) => ({
+  filename: "pickup.ics",
+  contentType: `text/calendar; charset=utf-8; method=${cancelled ? "CANCEL" : "PUBLISH"}`,
+  content: buildIcs({
+    uid: `pickup-${requestId}@bitebuddy`,
+    start: pickupSlot.start,
+    end: pickupSlot.end,
+    summary: `Food pickup: ${foodName}`,
+    location,
+    sequence: cancelled ? 1 : 0,
+    cancelled,
+  }),
 });
 
 /**
@@ -20,128 +94,46 @@ const transporter = nodemailer.createTransport({
  * @param {string} params.donorEmail - Email of the food donor
  * @param {string} params.donorName - Name of the food donor
  * @param {string} params.foodName - Name of the food item
- * @param {string} params.requesterEmail - Email of the person requesting
+ * @param {string} params.requesterName - Name of the person requesting
  * @param {string} params.requestDate - Date of the request
  * @param {string} params.note - Additional notes from requester
  * @param {number} params.quantity - Quantity of food
  * @param {string} params.location - Pickup location
+ * @param {Object} [params.pickupSlot] - Booked pickup window `{ start, end }`
+ * @param {ObjectId} [params.requestId] - Request id, identifies the calendar invite
  */
 export const sendFoodRequestNotification = async ({
   donorEmail,
   donorName,
   foodName,
-  requesterEmail,
+  requesterName,
   requestDate,
   note,
   quantity,
   location,
+  pickupSlot,
+  requestId,
 }) => {
   try {
-    const mailOptions = {
-      from: `"Food Sharing Platform" <${process.env.EMAIL_FROM}>`,
-      to: donorEmail,
-      subject: `New Food Request - ${foodName}`,
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(135deg, #f59e0b 0%, #f97316 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; }
-            .info-box { background: white; padding: 20px; margin: 15px 0; border-radius: 8px; border-left: 4px solid #f59e0b; }
-            .info-row { margin: 10px 0; }
-            .label { font-weight: bold; color: #f59e0b; }
-            .footer { text-align: center; margin-top: 20px; color: #6b7280; font-size: 14px; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1 style="margin: 0;">🍽️ New Food Request!</h1>
-            </div>
-            <div class="content">
-              <p>Hello <strong>${donorName}</strong>,</p>
-              <p>Great news! Someone has requested your food donation.</p>
-              
-              <div class="info-box">
-                <h3 style="margin-top: 0; color: #f59e0b;">Food Details</h3>
-                <div class="info-row">
-                  <span class="label">Food Item:</span> ${foodName}
-                </div>
-                <div class="info-row">
-                  <span class="label">Quantity:</span> ${quantity}
-                </div>
-                <div class="info-row">
-                  <span class="label">Pickup Location:</span> ${location}
-                </div>
-              </div>
-
-              <div class="info-box">
-                <h3 style="margin-top: 0; color: #f59e0b;">Requester Information</h3>
-                <div class="info-row">
-                  <span class="label">Email:</span> ${requesterEmail}
-                </div>
-                <div class="info-row">
-                  <span class="label">Request Date:</span> ${requestDate}
-                </div>
-                ${note
-          ? `
-                <div class="info-row">
-                  <span class="label">Additional Notes:</span><br/>
-                  <em style="color: #6b7280;">${note}</em>
-                </div>
-                `
-          : ""
-        }
-              </div>
-
-              <p style="margin-top: 20px;">
-                Please coordinate with the requester to arrange the pickup. You can reach them at 
-                <a href="mailto:${requesterEmail}" style="color: #f59e0b;">${requesterEmail}</a>
-              </p>
-
-              <p style="color: #6b7280; font-size: 14px; margin-top: 30px;">
-                Thank you for your generosity in sharing food with those in need! 🙏
-              </p>
-            </div>
-            <div class="footer">
-              <p>This is an automated notification from the Food Sharing Platform</p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `,
-      text: `
-Hello ${donorName},
-
-Great news! Someone has requested your food donation.
-
-FOOD DETAILS:
-- Food Item: ${foodName}
-- Quantity: ${quantity}
-- Pickup Location: ${location}
-
-REQUESTER INFORMATION:
-- Email: ${requesterEmail}
-- Request Date: ${requestDate}
-${note ? `- Additional Notes: ${note}` : ""}
-
-Please coordinate with the requester to arrange the pickup.
-
-Thank you for your generosity in sharing food with those in need!
-
----
-This is an automated notification from the Food Sharing Platform
-      `,
-    };
-
-    const info = await transporter.sendMail(mailOptions);
-    console.log("Email sent successfully:", info.messageId);
-    return { success: true, messageId: info.messageId };
+    const { outboxId, delivery } = await queueTemplatedEmail(
+      "food-request",
+      donorEmail,
+      {
+        recipientName: donorName,
+        foodName,
+        quantity,
+        location,
+        pickupTime: pickupSlot && formatPickupWindow(pickupSlot),
+        requesterName,
+        requestDate: formatDate(requestDate),
+        note,
+      },
+      pickupSlot && [pickupInvite({ requestId, pickupSlot, foodName, location })]
+    );
+    console.log("Email queued:", outboxId || delivery);
+    return { success: true, outboxId, delivery };
   } catch (error) {
-    console.error("Error sending email:", error);
+    console.error("Error queueing email:", error);
     return { success: false, error: error.message };
   }
 };
@@ -153,7 +145,6 @@ This is an automated notification from the Food Sharing Platform
  * @param {string} params.ownerName - Name of the food owner
  * @param {string} params.foodName - Name of the food item
  * @param {string} params.customerName - Name of the customer
- * @param {string} params.customerEmail - Email of the customer
  * @param {number} params.quantity - Quantity ordered
  * @param {string} params.deliveryDate - Delivery date
  * @param {string} params.deliveryAddress - Delivery address
@@ -165,7 +156,6 @@ export const sendBulkOrderNotification = async ({
   ownerName,
   foodName,
   customerName,
-  customerEmail,
   quantity,
   deliveryDate,
   deliveryAddress,
@@ -173,131 +163,302 @@ export const sendBulkOrderNotification = async ({
   notes,
 }) => {
   try {
-    const mailOptions = {
-      from: `"Food Sharing Platform" <${process.env.EMAIL_FROM}>`,
-      to: ownerEmail,
-      subject: `New Bulk Order - ${foodName}`,
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; }
-            .info-box { background: white; padding: 20px; margin: 15px 0; border-radius: 8px; border-left: 4px solid #10b981; }
-            .info-row { margin: 10px 0; }
-            .label { font-weight: bold; color: #10b981; }
-            .price { font-size: 24px; color: #10b981; font-weight: bold; }
-            .footer { text-align: center; margin-top: 20px; color: #6b7280; font-size: 14px; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1 style="margin: 0;">🛒 New Bulk Order!</h1>
-            </div>
-            <div class="content">
-              <p>Hello <strong>${ownerName}</strong>,</p>
-              <p>Great news! You have received a new bulk order for your food item.</p>
-              
-              <div class="info-box">
-                <h3 style="margin-top: 0; color: #10b981;">Order Details</h3>
-                <div class="info-row">
-                  <span class="label">Food Item:</span> ${foodName}
-                </div>
-                <div class="info-row">
-                  <span class="label">Quantity:</span> ${quantity} servings
-                </div>
-                <div class="info-row">
-                  <span class="label">Total Price:</span> <span class="price">$${totalPrice.toFixed(2)}</span>
-                </div>
-              </div>
-
-              <div class="info-box">
-                <h3 style="margin-top: 0; color: #10b981;">Customer Information</h3>
-                <div class="info-row">
-                  <span class="label">Name:</span> ${customerName}
-                </div>
-                <div class="info-row">
-                  <span class="label">Email:</span> ${customerEmail}
-                </div>
-              </div>
+    const { outboxId, delivery } = await queueTemplatedEmail("bulk-order", ownerEmail, {
+      recipientName: ownerName,
+      foodName,
+      quantity,
+      totalPrice: `$${totalPrice.toFixed(2)}`,
+      customerName,
+      deliveryDate: formatDate(deliveryDate),
+      deliveryAddress,
+      notes,
+    });
+    console.log("Bulk order email queued:", outboxId || delivery);
+    return { success: true, outboxId, delivery };
+  } catch (error) {
+    console.error("Error queueing bulk order email:", error);
+    return { success: false, error: error.message };
+  }
+};
 
-              <div class="info-box">
-                <h3 style="margin-top: 0; color: #10b981;">Delivery Information</h3>
-                <div class="info-row">
-                  <span class="label">Delivery Date:</span> ${new Date(deliveryDate).toLocaleDateString("en-GB", {
-        day: "2-digit",
-        month: "short",
-        year: "numeric",
-      })}
-                </div>
-                <div class="info-row">
-                  <span class="label">Delivery Address:</span><br/>
-                  ${deliveryAddress}
-                </div>
-                ${notes
-          ? `
-                <div class="info-row">
-                  <span class="label">Customer Notes:</span><br/>
-                  <em style="color: #6b7280;">${notes}</em>
-                </div>
-                `
-          : ""
-        }
-              </div>
+const requestStatusCopy = {
+  Approved: {
+    color: "#10b981",
+    heading: "✅ Request Approved",
+    message: "Your food request has been approved. Please pick it up at the location below.",
+  },
+  Rejected: {
+    color: "#ef4444",
+    heading: "Request Declined",
+    message: "Unfortunately the donor has declined your food request.",
+  },
+  Cancelled: {
+    color: "#6b7280",
+    heading: "Request Cancelled",
+    message: "A food request you were part of has been cancelled.",
+  },
+  NoShow: {
+    color: "#ef4444",
+    heading: "Missed Pickup",
+    message:
+      "The donor marked this pickup as missed. Repeated missed pickups pause your ability to request food for a while.",
+  },
+  PickedUp: {
+    color: "#f59e0b",
+    heading: "🎉 Food Picked Up",
+    message: "The food has been marked as picked up. Thank you for sharing!",
+  },
+};
 
-              <p style="margin-top: 20px;">
-                Please coordinate with the customer to arrange the delivery. You can reach them at 
-                <a href="mailto:${customerEmail}" style="color: #10b981;">${customerEmail}</a>
-              </p>
+/**
+ * Send email notification when a food request changes status
+ * @param {Object} params - Email parameters
+ * @param {string} params.recipientEmail - Email of the party being notified
+ * @param {string} params.recipientName - Name of the party being notified
+ * @param {string} params.actorName - Name of the user who changed the status
+ * @param {string} params.foodName - Name of the food item
+ * @param {string} params.location - Pickup location
+ * @param {Object} [params.pickupSlot] - Booked pickup window `{ start, end }`
+ * @param {ObjectId} [params.requestId] - Request id, identifies the calendar invite
+ * @param {string} params.status - New request status
+ * @param {string} params.reason - Optional reason given for the change
+ */
+export const sendRequestStatusNotification = async ({
+  recipientEmail,
+  recipientName,
+  actorName,
+  foodName,
+  location,
+  pickupSlot,
+  requestId,
+  status,
+  reason,
+}) => {
+  const copy = requestStatusCopy[status];
+  if (!copy) {
+    return { success: false, error: `No email for status ${status}` };
+  }
 
-              <p style="color: #6b7280; font-size: 14px; margin-top: 30px;">
-                Thank you for using our platform! 🙏
-              </p>
-            </div>
-            <div class="footer">
-              <p>This is an automated notification from the Food Sharing Platform</p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `,
-      text: `
-Hello ${ownerName},
+  // Approval confirms the pickup in the calendar, cancelling removes it again
+  const invite =
+    pickupSlot && status !== "PickedUp"
+      ? [
+          pickupInvite({
+            requestId,
+            pickupSlot,
+            foodName,
+            location,
+            cancelled: status !== "Approved",
+          }),
+        ]
+      : undefined;
 
-Great news! You have received a new bulk order for your food item.
+  try {
+    const { outboxId, delivery } = await queueTemplatedEmail(
+      "request-status",
+      recipientEmail,
+      {
+        recipientName,
+        status,
+        statusHeading: copy.heading,
+        message: copy.message,
+        accent: copy.color,
+        headerBackground: copy.color,
+        foodName,
+        location,
+        pickupTime: pickupSlot && formatPickupWindow(pickupSlot),
+        actorName,
+        reason,
+      },
+      invite
+    );
+    console.log("Request status email queued:", outboxId || delivery);
+    return { success: true, outboxId, delivery };
+  } catch (error) {
+    console.error("Error queueing request status email:", error);
+    return { success: false, error: error.message };
+  }
+};
 
-ORDER DETAILS:
-- Food Item: ${foodName}
-- Quantity: ${quantity} servings
-- Total Price: $${totalPrice.toFixed(2)}
+const orderStatusCopy = {
+  Confirmed: { color: "#10b981", message: "Your order has been confirmed by the owner." },
+  Rejected: { color: "#ef4444", message: "Unfortunately the owner could not accept your order." },
+  Preparing: { color: "#f59e0b", message: "Your order is being prepared." },
+  OutForDelivery: { color: "#3b82f6", message: "Your order is out for delivery." },
+  Delivered: { color: "#059669", message: "Your order has been delivered. Enjoy!" },
+  Cancelled: { color: "#6b7280", message: "An order you were part of has been cancelled." },
+};
 
-CUSTOMER INFORMATION:
-- Name: ${customerName}
-- Email: ${customerEmail}
+/**
+ * Send email notification when a bulk order changes status
+ * @param {Object} params - Email parameters
+ * @param {string} params.recipientEmail - Email of the party being notified
+ * @param {string} params.recipientName - Name of the party being notified
+ * @param {string} params.actorName - Name of the user who changed the status
+ * @param {string} params.foodName - Name of the food item
+ * @param {number} params.quantity - Quantity ordered
+ * @param {string} params.status - New order status
+ * @param {string} params.reason - Optional reason given for the change
+ */
+export const sendOrderStatusNotification = async ({
+  recipientEmail,
+  recipientName,
+  actorName,
+  foodName,
+  quantity,
+  status,
+  reason,
+}) => {
+  const copy = orderStatusCopy[status];
+  if (!copy) {
+    return { success: false, error: `No email for status ${status}` };
+  }
 
-DELIVERY INFORMATION:
-- Delivery Date: ${new Date(deliveryDate).toLocaleDateString("en-GB")}
-- Delivery Address: ${deliveryAddress}
-${notes ? `- Customer Notes: ${notes}` : ""}
+  try {
+    const { outboxId, delivery } = await queueTemplatedEmail("order-status", recipientEmail, {
+      recipientName,
+      status,
+      message: copy.message,
+      accent: copy.color,
+      headerBackground: copy.color,
+      foodName,
+      quantity,
+      actorName,
+      reason,
+    });
+    console.log("Order status email queued:", outboxId || delivery);
+    return { success: true, outboxId, delivery };
+  } catch (error) {
+    console.error("Error queueing order status email:", error);
+    return { success: false, error: error.message };
+  }
+};
 
-Please coordinate with the customer to arrange the delivery.
+/**
+ * Send email notification to a donor when their listing has expired
+ * @param {Object} params - Email parameters
+ * @param {string} params.donorEmail - Email of the food donor
+ * @param {string} params.donorName - Name of the food donor
+ * @param {string} params.foodName - Name of the food item
+ * @param {string} params.exDate - Expiry date of the listing
+ * @param {number} params.cancelledRequests - Open requests cancelled with it
+ */
+export const sendListingExpiredNotification = async ({
+  donorEmail,
+  donorName,
+  foodName,
+  exDate,
+  cancelledRequests,
+}) => {
+  try {
+    const { outboxId, delivery } = await queueTemplatedEmail("listing-expired", donorEmail, {
+      recipientName: donorName,
+      foodName,
+      exDate: formatDate(exDate),
+      cancelledRequests,
+    });
+    console.log("Listing expired email queued:", outboxId || delivery);
+    return { success: true, outboxId, delivery };
+  } catch (error) {
+    console.error("Error queueing listing expired email:", error);
+    return { success: false, error: error.message };
+  }
+};
 
-Thank you for using our platform!
+/**
+ * Send a reminder to a donor the day before their listing expires
+ * @param {Object} params - Email parameters
+ * @param {string} params.donorEmail - Email of the food donor
+ * @param {string} params.donorName - Name of the food donor
+ * @param {string} params.foodName - Name of the food item
+ * @param {string} params.exDate - Expiry date of the listing
+ * @param {number} params.quantity - Quantity still available
+ */
+export const sendListingExpiringSoonNotification = async ({
+  donorEmail,
+  donorName,
+  foodName,
+  exDate,
+  quantity,
+}) => {
+  try {
+    const { outboxId, delivery } = await queueTemplatedEmail("listing-expiring-soon", donorEmail, {
+      recipientName: donorName,
+      foodName,
+      exDate: formatDate(exDate),
+      quantity,
+    });
+    console.log("Expiring soon email queued:", outboxId || delivery);
+    return { success: true, outboxId, delivery };
+  } catch (error) {
+    console.error("Error queueing expiring soon email:", error);
+    return { success: false, error: error.message };
+  }
+};
 
----
-This is an automated notification from the Food Sharing Platform
-      `,
-    };
+/**
+ * Remind a user about thread messages they have not read
+ * @param {Object} params - Email parameters
+ * @param {string} params.recipientEmail - Email of the user with unread messages
+ * @param {string} params.recipientName - Name of that user
+ * @param {string} params.senderName - Name of the other party
+ * @param {string} params.foodName - Name of the food item
+ * @param {string} params.threadType - "request" or "order"
+ * @param {number} params.unreadCount - Messages covered by this reminder
+ * @param {string} params.latestMessage - Most recent of them
+ */
+export const sendUnreadMessagesNotification = async ({
+  recipientEmail,
+  recipientName,
+  senderName,
+  foodName,
+  threadType,
+  unreadCount,
+  latestMessage,
+}) => {
+  try {
+    const { outboxId, delivery } = await queueTemplatedEmail("unread-messages", recipientEmail, {
+      recipientName,
+      senderName,
+      foodName,
+      threadType,
+      unreadCount,
+      latestMessage,
+    });
+    console.log("Unread messages email queued:", outboxId || delivery);
+    return { success: true, outboxId, delivery };
+  } catch (error) {
+    console.error("Error queueing unread messages email:", error);
+    return { success: false, error: error.message };
+  }
+};
 
-    const info = await transporter.sendMail(mailOptions);
-    console.log("Bulk order email sent successfully:", info.messageId);
-    return { success: true, messageId: info.messageId };
+/**
+ * Send one email summarising the events a user chose to get as a digest
+ * @param {Object} params - Email parameters
+ * @param {string} params.recipientEmail - Email of the user
+ * @param {string} params.recipientName - Name of the user
+ * @param {Object[]} params.items - Digest entries with `subject` and `createdAt`
+ */
+export const sendDigestEmail = async ({ recipientEmail, recipientName, items }) => {
+  try {
+    const outboxId = await queueEmail(
+      "digest",
+      recipientEmail,
+      {
+        recipientName,
+        count: items.length,
+        items: items.map(({ subject, createdAt }) => ({
+          subject,
+          date: formatDate(createdAt),
+        })),
+      },
+      { unsubscribeType: "all" }
+    );
+    console.log("Digest email queued:", outboxId);
+    return { success: true, outboxId };
   } catch (error) {
-    console.error("Error sending bulk order email:", error);
+    console.error("Error queueing digest email:", error);
     return { success: false, error: error.message };
   }
 };
@@ -0,0 +1,173 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createTemplateEngine, htmlToText } from "../utils/templateEngine.js";
+
+const TEMPLATE_DIR = fileURLToPath(new URL("../templates/emails/", import.meta.url));
+
+// Templates are re-read on every render outside production so edits show up in previews
+const engine = createTemplateEngine({
+  load: (name) => fs.readFileSync(path.join(TEMPLATE_DIR, `${name}.html`), "utf8"),
+  cache: process.env.NODE_ENV === "production",
+});
+
+export const THEMES = {
+  amber: {
+    headerBackground: "linear-gradient(135deg, #f59e0b 0%, #f97316 100%)",
+    accent: "#f59e0b",
+  },
+  green: {
+    headerBackground: "linear-gradient(135deg, #10b981 0%, #059669 100%)",
+    accent: "#10b981",
+  },
+  gray: { headerBackground: "#6b7280", accent: "#6b7280" },
+};
+
+/**
+ * Every notification email. The key is both the file name under
+ * templates/emails and the outbox type. `subject` and `heading` are
+ * templates themselves; `sample` is what the admin preview renders.
+ */
+export const EMAIL_TEMPLATES = {
+  "food-request": {
+    subject: "New Food Request - {{foodName}}",
+    heading: "🍽️ New Food Request!",
+    theme: "amber",
+    sample: {
+      recipientName: "Amina Rahman",
+      foodName: "Vegetable Biryani",
+      quantity: 4,
+      location: "House 12, Road 5, Dhanmondi",
+      pickupTime: "24 Oct 2026, 17:00 - 18:00 UTC",
+      requesterName: "Karim Ahmed",
+      requestDate: "19 Oct 2026",
+      note: "I can pick it up after 6pm.",
+    },
+  },
+  "bulk-order": {
+    subject: "New Bulk Order - {{foodName}}",
+    heading: "🛒 New Bulk Order!",
+    theme: "green",
+    sample: {
+      recipientName: "Amina Rahman",
+      foodName: "Chicken Curry",
+      quantity: 20,
+      totalPrice: "$150.00",
+      customerName: "Karim Ahmed",
+      deliveryDate: "24 Oct 2026",
+      deliveryAddress: "Community Hall, Mirpur 10",
+      notes: "Please pack in separate boxes.",
+    },
+  },
+  "request-status": {
+    subject: "Request {{status}} - {{foodName}}",
+    heading: "{{statusHeading}}",
+    theme: "green",
+    sample: {
+      recipientName: "Karim Ahmed",
+      status: "Approved",
+      statusHeading: "✅ Request Approved",
+      message: "Your food request has been approved. Please pick it up at the location below.",
+      accent: "#10b981",
+      headerBackground: "#10b981",
+      foodName: "Vegetable Biryani",
+      location: "House 12, Road 5, Dhanmondi",
+      pickupTime: "24 Oct 2026, 17:00 - 18:00 UTC",
+      actorName: "Amina Rahman",
+      reason: "See you at 6pm!",
+    },
+  },
+  "order-status": {
+    subject: "Order {{status}} - {{foodName}}",
+    heading: "Order {{status}}",
+    theme: "green",
+    sample: {
+      recipientName: "Karim Ahmed",
+      status: "Confirmed",
+      message: "Your order has been confirmed by the owner.",
+      accent: "#10b981",
+      headerBackground: "#10b981",
+      foodName: "Chicken Curry",
+      quantity: 20,
+      actorName: "Amina Rahman",
+    },
+  },
+  "listing-expired": {
+    subject: "Your Listing Expired - {{foodName}}",
+    heading: "⏰ Listing Expired",
+    theme: "gray",
+    sample: {
+      recipientName: "Amina Rahman",
+      foodName: "Vegetable Biryani",
+      exDate: "18 Oct 2026",
+      cancelledRequests: 2,
+    },
+  },
+  "listing-expiring-soon": {
+    subject: "Expiring Tomorrow - {{foodName}}",
+    heading: "⏳ Expiring Soon",
+    theme: "amber",
+    sample: {
+      recipientName: "Amina Rahman",
+      foodName: "Vegetable Biryani",
+      exDate: "20 Oct 2026",
+      quantity: 3,
+    },
+  },
+  "unread-messages": {
+    subject: "Unread messages about {{foodName}}",
+    heading: "💬 You Have Unread Messages",
+    theme: "amber",
+    sample: {
+      recipientName: "Amina Rahman",
+      senderName: "Karim Ahmed",
+      unreadCount: 2,
+      threadType: "request",
+      foodName: "Vegetable Biryani",
+      latestMessage: "Is 6pm still okay for the pickup?",
+    },
+  },
+  digest: {
+    subject: "Your Daily Digest - {{count}} update(s)",
+    heading: "📬 Your Daily Digest",
+    theme: "amber",
+    sample: {
+      recipientName: "Amina Rahman",
+      count: 2,
+      items: [
+        { subject: "New Food Request - Vegetable Biryani", date: "18 Oct 2026" },
+        { subject: "Request Cancelled - Chicken Curry", date: "18 Oct 2026" },
+      ],
+    },
+  },
+};
+
+const plain = (value) => String(value);
+
+/**
+ * Render a notification inside the shared layout. Values are HTML-escaped
+ * unless a template uses `{{{triple}}}` braces, and the plain-text part is
+ * derived from the rendered HTML.
+ * @param {string} name - Key of EMAIL_TEMPLATES
+ * @param {Object} data - Template values, `accent`/`headerBackground` override the theme
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export const renderEmail = (name, data) => {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const view = { ...THEMES[template.theme], ...data };
+  const html = engine.render("layout", {
+    ...view,
+    heading: engine.renderString(template.heading, view, { escape: plain }),
+    content: engine.render(name, view),
+  });
+
+  return {
+    subject: engine.renderString(template.subject, view, { escape: plain }),
+    html,
+    text: htmlToText(html),
+  };
+};
@@ -0,0 +1,159 @@
+import { foodCollection } from "./dbCollections.js";
+import { cancelOpenRequests } from "./requestWorkflow.js";
+import {
+  sendListingExpiredNotification,
+  sendListingExpiringSoonNotification,
+} from "./emailService.js";
+import { notifyUser } from "./notificationService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// exDate may be a Date or a string from older listings, unparsable values become null
+const exDateExpr = {
+  $convert: { input: "$exDate", to: "date", onError: null, onNull: null },
+};
+
+/**
+ * Local midnight of the current day, listings expire once their
+ * exDate falls before it
+ * @returns {Date}
+ */
+export const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+/**
+ * Filter hiding expired listings, whether or not the expiry job has
+ * marked them yet
+ * @returns {Object} Mongo filter
+ */
+export const notExpiredFilter = () => ({
+  status: { $ne: "Expired" },
+  $expr: {
+    $or: [{ $eq: [exDateExpr, null] }, { $gte: [exDateExpr, startOfToday()] }],
+  },
+});
+
+/**
+ * Put an Expired listing back in play when its exDate is today or later
+ * again, e.g. after the donor moved it. syncFoodStatus skips Expired
+ * listings, so this has to run before it.
+ * @param {ObjectId} foodId - Food id
+ */
+export const reopenIfUnexpired = async (foodId) => {
+  await foodCollection.updateOne(
+    { _id: foodId, status: "Expired", $expr: { $gte: [exDateExpr, startOfToday()] } },
+    {
+      $set: { status: "Available" },
+      // A new expiry day deserves a new reminder
+      $unset: { expiredAt: "", expiryReminderSentAt: "" },
+    }
+  );
+};
+
+/**
+ * Mark listings past their exDate as Expired, cancel their open requests
+ * and let the donor know
+ * @returns {Promise<number>} Number of listings expired
+ */
+export const expireListings = async () => {
+  const expired = await foodCollection
+    .find({
+      status: { $ne: "Expired" },
+      deletedAt: null,
+      $expr: { $lt: [exDateExpr, startOfToday()] },
+    })
+    .toArray();
+
+  let count = 0;
+  for (const food of expired) {
+    const { modifiedCount } = await foodCollection.updateOne(
+      { _id: food._id, status: { $ne: "Expired" } },
+      { $set: { status: "Expired", expiredAt: new Date() } }
+    );
+    if (!modifiedCount) continue;
+
+    count += 1;
+    const cancelledRequests = await cancelOpenRequests(
+      food,
+      "The listing expired before pickup"
+    );
+
+    sendListingExpiredNotification({
+      donorEmail: food.userEmail,
+      donorName: food.userName,
+      foodName: food.foodName,
+      exDate: food.exDate,
+      cancelledRequests,
+    }).catch((err) => {
+      console.error("Failed to send listing expired email:", err);
+    });
+    notifyUser({
+      userEmail: food.userEmail,
+      type: "listing-expired",
+      title: `Listing expired - ${food.foodName}`,
+      message: cancelledRequests
+        ? `${cancelledRequests} open request(s) were cancelled`
+        : "It is no longer visible to requesters",
+      entity: { type: "food", id: food._id },
+    }).catch((err) => {
+      console.error("Failed to store listing expired notification:", err);
+    });
+  }
+
+  return count;
+};
+
+/**
+ * Remind donors a day ahead that a listing is about to expire.
+ * Each listing is reminded at most once.
+ * @returns {Promise<number>} Number of reminders sent
+ */
+export const sendExpiryReminders = async () => {
+  const tomorrow = new Date(startOfToday().getTime() + DAY_MS);
+  const dayAfter = new Date(tomorrow.getTime() + DAY_MS);
+
+  const expiringSoon = await foodCollection
+    .find({
+      status: "Available",
+      deletedAt: null,
+      expiryReminderSentAt: { $exists: false },
+      $expr: {
+        $and: [{ $gte: [exDateExpr, tomorrow] }, { $lt: [exDateExpr, dayAfter] }],
+      },
+    })
+    .toArray();
+
+  let count = 0;
+  for (const food of expiringSoon) {
+    const { modifiedCount } = await foodCollection.updateOne(
+      { _id: food._id, expiryReminderSentAt: { $exists: false } },
+      { $set: { expiryReminderSentAt: new Date() } }
+    );
+    if (!modifiedCount) continue;
+
+    count += 1;
+    sendListingExpiringSoonNotification({
+      donorEmail: food.userEmail,
+      donorName: food.userName,
+      foodName: food.foodName,
+      exDate: food.exDate,
+      quantity: food.quantity,
+    }).catch((err) => {
+      console.error("Failed to send expiring soon email:", err);
+    });
+    notifyUser({
+      userEmail: food.userEmail,
+      type: "listing-expiring-soon",
+      title: `Expiring tomorrow - ${food.foodName}`,
+      message: `${food.quantity} left, update the expiry date if it keeps longer`,
+      entity: { type: "food", id: food._id },
+    }).catch((err) => {
+      console.error("Failed to store expiring soon notification:", err);
+    });
+  }
+
+  return count;
+};
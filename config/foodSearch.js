@@ -0,0 +1,156 @@
+import { foodCollection } from "./dbCollections.js";
+import { EARTH_RADIUS_KM, distanceKmExpr } from "../utils/geo.js";
+import {
+  escapeRegex,
+  highlightMatches,
+  searchTerms,
+} from "../utils/search.js";
+import { createPaginator } from "../utils/pagination.js";
+
+// Fields covered by the text index and highlighted in results
+export const SEARCH_FIELDS = ["foodName", "description", "location"];
+
+const BASE_SORTS = ["createdAt", "exDate", "quantity", "price", "foodName"];
+
+// createdAt maps to _id so older listings without the field still sort by age.
+// exDate holds legacy strings next to Dates and price is often missing or a
+// string, so both are paged by number only.
+const paginateFoods = createPaginator({
+  sortFields: {
+    createdAt: { field: "_id", order: -1 },
+    exDate: { field: "exDate", order: 1, cursor: false },
+    quantity: { field: "quantity", order: -1 },
+    price: { field: "price", order: 1, cursor: false },
+    foodName: { field: "foodName", order: 1 },
+    distance: { field: "distanceKm", order: 1 },
+    relevance: { field: "score", order: -1 },
+  },
+  defaultSortBy: "createdAt",
+  defaultLimit: 12,
+});
+
+/**
+ * Find listings for /all-foods.
+ *
+ * A search string goes through the text index first and results are ranked
+ * by relevance. When that finds nothing (e.g. a partial word), it falls back
+ * to an escaped, case-insensitive match on the same fields. With a location,
+ * results are limited to `radiusKm` and carry their `distanceKm`.
+ *
+ * @param {Object} params
+ * @param {Object} params.query - Base filter (status, expiry, ...)
+ * @param {string} [params.search] - Free-text search
+ * @param {Object} [params.near] - GeoJSON point to measure distance from
+ * @param {number} [params.radiusKm] - Maximum distance from `near`
+ * @param {Object} params.paging - sortBy, sortOrder, page, limit, after, before.
+ *   Sorts by distance or relevance when those apply, otherwise newest first.
+ * @returns {Promise<{foods: Object[], pagination: Object, searchMode: string|null}>}
+ */
+export const searchFoods = async ({ query, search, near, radiusKm, paging }) => {
+  const terms = search ? searchTerms(search) : [];
+  let match = { ...query };
+  let searchMode = null;
+
+  // Only listings within reach count, for the text probe as much as the results
+  const geoFilter =
+    near &&
+    (radiusKm
+      ? {
+          geo: {
+            $geoWithin: {
+              $centerSphere: [near.coordinates, radiusKm / EARTH_RADIUS_KM],
+            },
+          },
+        }
+      : { geo: { $exists: true } });
+
+  if (search) {
+    const textMatch = { ...match, $text: { $search: search } };
+    // A text hit outside the radius must not stop the partial match from running
+    const probe = { ...textMatch, ...geoFilter };
+    if (await foodCollection.findOne(probe, { projection: { _id: 1 } })) {
+      match = textMatch;
+      searchMode = "text";
+    } else if (terms.length) {
+      const pattern = terms.map(escapeRegex).join("|");
+      match.$and = [
+        ...(match.$and || []),
+        {
+          $or: SEARCH_FIELDS.map((field) => ({
+            [field]: { $regex: pattern, $options: "i" },
+          })),
+        },
+      ];
+      searchMode = "partial";
+    }
+  }
+  const textMode = searchMode === "text";
+
+  let defaultSortBy = "createdAt";
+  if (near) defaultSortBy = "distance";
+  else if (textMode) defaultSortBy = "relevance";
+
+  const plan = paginateFoods(paging, {
+    allow: [
+      ...BASE_SORTS,
+      ...(near ? ["distance"] : []),
+      ...(textMode ? ["relevance"] : []),
+    ],
+    defaultSortBy,
+  });
+
+  const countQuery = { ...match, ...geoFilter };
+
+  const pipeline = [];
+  if (near && !textMode) {
+    // $geoNear must come first and cannot be combined with $text
+    pipeline.push({
+      $geoNear: {
+        near,
+        distanceField: "distanceKm",
+        distanceMultiplier: 0.001,
+        spherical: true,
+        query: match,
+        ...(radiusKm && { maxDistance: radiusKm * 1000 }),
+      },
+    });
+  } else {
+    pipeline.push({ $match: countQuery });
+    if (near) {
+      pipeline.push({ $set: { distanceKm: distanceKmExpr(near.coordinates) } });
+    }
+  }
+  if (textMode) {
+    pipeline.push({ $set: { score: { $meta: "textScore" } } });
+  }
+
+  if (plan.cursorFilter) {
+    pipeline.push({ $match: plan.cursorFilter });
+  }
+  pipeline.push(
+    { $sort: plan.sort },
+    { $skip: plan.skip },
+    { $limit: plan.fetchLimit }
+  );
+
+  const [totalItems, docs] = await Promise.all([
+    foodCollection.countDocuments(countQuery),
+    foodCollection.aggregate(pipeline).toArray(),
+  ]);
+
+  // Cursors are built from the exact distance, so round only afterwards
+  const { items: foods, pagination } = plan.finish(docs, totalItems);
+  if (near) {
+    foods.forEach((food) => {
+      food.distanceKm = Math.round(food.distanceKm * 100) / 100;
+    });
+  }
+
+  if (terms.length) {
+    foods.forEach((food) => {
+      food.highlights = highlightMatches(food, terms, SEARCH_FIELDS);
+    });
+  }
+
+  return { foods, pagination, searchMode };
+};
@@ -0,0 +1,106 @@
+import {
+  foodCollection,
+  orderCollection,
+  requestedCollection,
+} from "./dbCollections.js";
+import { cancelOpenRequests, syncFoodStatus, SYSTEM_USER } from "./requestWorkflow.js";
+import { cancelOpenOrders } from "./orderWorkflow.js";
+import { releaseImage } from "./imageService.js";
+import { reopenIfUnexpired } from "./foodExpiry.js";
+import { recordAudit } from "./auditLog.js";
+import { HttpError } from "../utils/httpError.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const retentionMs = () => (Number(process.env.TRASH_RETENTION_DAYS) || 30) * DAY_MS;
+
+/**
+ * Filter hiding listings that are in the trash
+ * @returns {Object} Mongo filter
+ */
+export const notDeletedFilter = () => ({ deletedAt: null });
+
+/**
+ * When a trashed listing will be removed for good
+ * @param {Object} food - Food document with `deletedAt`
+ * @returns {Date}
+ */
+export const purgeDate = (food) => new Date(food.deletedAt.getTime() + retentionMs());
+
+/**
+ * Move a listing to the trash and call off everything still open on it.
+ * Requesters and customers are notified by the cancellations.
+ * @param {Object} food - Food document owned by the caller
+ * @param {Object} user - `req.user`
+ * @returns {Promise<Object>} `{ cancelledRequests, cancelledOrders, purgeAt }`
+ */
+export const trashFood = async (food, user) => {
+  const deletedAt = new Date();
+  const { modifiedCount } = await foodCollection.updateOne(
+    { _id: food._id, ...notDeletedFilter() },
+    { $set: { deletedAt, deletedBy: { email: user.email, name: user.name } } }
+  );
+  if (!modifiedCount) {
+    throw new HttpError(409, "This listing is already in the trash");
+  }
+
+  const reason = "The donor removed this listing";
+  const cancelledRequests = await cancelOpenRequests(food, reason);
+  const cancelledOrders = await cancelOpenOrders(food, reason);
+
+  return { cancelledRequests, cancelledOrders, purgeAt: purgeDate({ deletedAt }) };
+};
+
+/**
+ * Take a listing back out of the trash. Requests and orders cancelled when
+ * it was removed stay cancelled.
+ * @param {Object} food - Trashed food document owned by the caller
+ */
+export const restoreFood = async (food) => {
+  const { modifiedCount } = await foodCollection.updateOne(
+    { _id: food._id, deletedAt: { $ne: null } },
+    { $unset: { deletedAt: "", deletedBy: "" }, $set: { updatedAt: new Date() } }
+  );
+  if (!modifiedCount) {
+    throw new HttpError(409, "This listing is not in the trash");
+  }
+  await reopenIfUnexpired(food._id);
+  await syncFoodStatus(food._id);
+};
+
+/**
+ * Delete listings that have been in the trash longer than
+ * TRASH_RETENTION_DAYS (default 30), along with their uploaded images.
+ * Their requests and orders keep their copies of the listing details and
+ * are flagged `foodDeleted` so nothing goes looking for the listing.
+ * @returns {Promise<number>} Number of listings purged
+ */
+export const purgeDeletedFoods = async () => {
+  const expired = await foodCollection
+    .find({ deletedAt: { $lt: new Date(Date.now() - retentionMs()) } })
+    .toArray();
+
+  let purged = 0;
+  for (const food of expired) {
+    const { deletedCount } = await foodCollection.deleteOne({
+      _id: food._id,
+      deletedAt: food.deletedAt,
+    });
+    if (!deletedCount) continue;
+
+    purged += 1;
+    const tombstone = { $set: { foodDeleted: true, foodDeletedAt: new Date() } };
+    await requestedCollection.updateMany({ foodId: food._id }, tombstone);
+    await orderCollection.updateMany({ foodId: food._id }, tombstone);
+    await releaseImage(food.foodImg);
+    await recordAudit({
+      entityType: "food",
+      entityId: food._id,
+      before: food,
+      after: null,
+      actor: SYSTEM_USER,
+      route: "job purge-deleted-foods",
+    }).catch((err) => console.error("Failed to write audit entry:", err));
+  }
+  return purged;
+};
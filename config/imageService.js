@@ -0,0 +1,141 @@
+import crypto from "crypto";
+import { foodCollection, uploadCollection } from "./dbCollections.js";
+import { getStorage } from "./storage.js";
+import { HttpError } from "../utils/httpError.js";
+
+// Recognised by their first bytes, the client's Content-Type is not trusted.
+// Each signature is a list of [offset, bytes] that must all match.
+const IMAGE_TYPES = [
+  { contentType: "image/jpeg", extension: "jpg", signature: [[0, [0xff, 0xd8, 0xff]]] },
+  {
+    contentType: "image/png",
+    extension: "png",
+    signature: [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]],
+  },
+  { contentType: "image/gif", extension: "gif", signature: [[0, "GIF8"]] },
+  { contentType: "image/webp", extension: "webp", signature: [[0, "RIFF"], [8, "WEBP"]] },
+];
+
+const matchesSignature = (buffer, signature) =>
+  signature.every(([offset, bytes]) => {
+    const expected = Buffer.from(bytes);
+    return buffer.subarray(offset, offset + expected.length).equals(expected);
+  });
+
+export const IMAGE_CONTENT_TYPES = IMAGE_TYPES.map((type) => type.contentType);
+
+/**
+ * Store an uploaded image and remember who uploaded it
+ * @param {Object} file - multer file held in memory (`buffer`, `originalname`)
+ * @param {Object} user - `req.user`
+ * @returns {Promise<Object>} `{ url, key, contentType, size }`
+ */
+export const saveImage = async (file, user) => {
+  const type = IMAGE_TYPES.find((candidate) =>
+    matchesSignature(file.buffer, candidate.signature)
+  );
+  if (!type) {
+    throw new HttpError(400, "Validation failed", {
+      errors: [{ field: "body.image", message: `must be one of ${IMAGE_CONTENT_TYPES.join(", ")}` }],
+    });
+  }
+
+  const storage = getStorage();
+  const key = `${crypto.randomUUID()}.${type.extension}`;
+  await storage.save(key, file.buffer, type.contentType);
+
+  const upload = {
+    key,
+    url: storage.urlFor(key),
+    contentType: type.contentType,
+    size: file.size,
+    originalName: file.originalname,
+    ownerEmail: user.email,
+    createdAt: new Date(),
+  };
+  await uploadCollection.insertOne(upload);
+
+  return { url: upload.url, key, contentType: upload.contentType, size: upload.size };
+};
+
+/**
+ * Check an image URL being put on a listing is either external or one of
+ * the caller's own uploads, so deleting the listing can't remove someone
+ * else's file. Call markImageUsed once the listing is saved.
+ * @param {string} url - foodImg from the request body
+ * @param {Object} user - `req.user`
+ */
+export const assertOwnImage = async (url, user) => {
+  const key = getStorage().keyFromUrl(url);
+  if (!key) return;
+
+  const upload = await uploadCollection.findOne(
+    { key, ownerEmail: user.email },
+    { projection: { _id: 1 } }
+  );
+  if (!upload) {
+    throw new HttpError(400, "Validation failed", {
+      errors: [{ field: "body.foodImg", message: "must be an image you uploaded" }],
+    });
+  }
+};
+
+/**
+ * Keep an upload out of the unused uploads cleanup, once a listing that
+ * points at it has been written
+ * @param {string} url - foodImg of the saved listing
+ */
+export const markImageUsed = async (url) => {
+  const key = getStorage().keyFromUrl(url);
+  if (!key) return;
+  await uploadCollection.updateOne({ key }, { $set: { usedAt: new Date() } });
+};
+
+/**
+ * Delete an uploaded image once no listing points at it any more.
+ * External URLs are ignored. Failures are logged, never thrown, so they
+ * can't undo the change that made the image unused.
+ * @param {string} url - Image URL that was just replaced or removed
+ */
+export const releaseImage = async (url) => {
+  const storage = getStorage();
+  const key = storage.keyFromUrl(url);
+  if (!key) return;
+
+  try {
+    if (await foodCollection.countDocuments({ foodImg: url }, { limit: 1 })) return;
+    await storage.remove(key);
+    await uploadCollection.deleteOne({ key });
+  } catch (err) {
+    console.error("Failed to delete image:", key, err);
+  }
+};
+
+const UNUSED_UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Delete uploads that were never put on a listing within a day. Uploads a
+ * listing does point at (the listing was saved but markImageUsed failed)
+ * are marked used instead.
+ * @returns {Promise<number>} Number of images removed
+ */
+export const removeUnusedUploads = async () => {
+  const stale = await uploadCollection
+    .find({
+      usedAt: { $exists: false },
+      createdAt: { $lt: new Date(Date.now() - UNUSED_UPLOAD_TTL_MS) },
+    })
+    .project({ url: 1 })
+    .toArray();
+
+  let removed = 0;
+  for (const upload of stale) {
+    if (await foodCollection.countDocuments({ foodImg: upload.url }, { limit: 1 })) {
+      await markImageUsed(upload.url);
+      continue;
+    }
+    await releaseImage(upload.url);
+    removed += 1;
+  }
+  return removed;
+};
@@ -0,0 +1,189 @@
+import {
+  foodCollection,
+  orderCollection,
+  requestedCollection,
+} from "./dbCollections.js";
+import { REQUEST_STATUS } from "./requestWorkflow.js";
+import { ORDER_STATUS } from "./orderWorkflow.js";
+
+const COMPLETED = [REQUEST_STATUS.PICKED_UP, ORDER_STATUS.DELIVERED];
+// Claims that gave their quantity back to the listing, a no-show included
+const LOST = [
+  REQUEST_STATUS.REJECTED,
+  REQUEST_STATUS.CANCELLED,
+  REQUEST_STATUS.NO_SHOW,
+  ORDER_STATUS.REJECTED,
+  ORDER_STATUS.CANCELLED,
+];
+const PLATFORM_CACHE_MS = 10 * 60 * 1000;
+
+const platformCache = new Map();
+
+// Older documents have no createdAt, the ObjectId timestamp works for all of them
+const createdAtExpr = { $toDate: "$_id" };
+
+/**
+ * The last `count` months as YYYY-MM keys, oldest first, in a time zone
+ * @param {number} count - Number of months
+ * @param {string} tz - IANA time zone
+ * @returns {string[]}
+ */
+const monthKeys = (count, tz) => {
+  const [year, month] = new Intl.DateTimeFormat("en-CA", {
+    timeZone: tz,
+    year: "numeric",
+    month: "2-digit",
+  })
+    .format(new Date())
+    .split("-")
+    .map(Number);
+
+  return Array.from({ length: count }, (_, index) => {
+    const date = new Date(Date.UTC(year, month - 1 - (count - 1 - index), 1));
+    return date.toISOString().slice(0, 7);
+  });
+};
+
+const monthOf = (tz) => ({
+  $dateToString: { format: "%Y-%m", date: createdAtExpr, timezone: tz },
+});
+
+/**
+ * Impact numbers for one donor, or the whole platform when no email is given
+ * @param {Object} params
+ * @param {string} [params.email] - Donor email, omit for platform-wide stats
+ * @param {number} params.months - Length of the monthly trend
+ * @param {string} params.tz - IANA time zone for month boundaries
+ * @returns {Promise<Object>}
+ */
+export const getImpactStats = async ({ email, months, tz }) => {
+  const keys = monthKeys(months, tz);
+  const [firstYear, firstMonth] = keys[0].split("-").map(Number);
+  const trendStart = {
+    $gte: [
+      createdAtExpr,
+      { $dateFromParts: { year: firstYear, month: firstMonth, day: 1, timezone: tz } },
+    ],
+  };
+
+  // Listings in the trash don't count until they are restored
+  const foodMatch = email ? { userEmail: email, deletedAt: null } : { deletedAt: null };
+  const requestMatch = email ? { donorEmail: email } : {};
+  const orderMatch = email ? { ownerEmail: email } : {};
+
+  const [[listings], listingTrend, [claims]] = await Promise.all([
+    foodCollection
+      .aggregate([
+        { $match: foodMatch },
+        {
+          $group: {
+            _id: null,
+            listingsPosted: { $sum: 1 },
+            donors: { $addToSet: "$userEmail" },
+            expiredListings: {
+              $sum: { $cond: [{ $eq: ["$status", "Expired"] }, 1, 0] },
+            },
+            // Whatever was still unclaimed when a listing expired went to waste
+            wastedMeals: {
+              $sum: { $cond: [{ $eq: ["$status", "Expired"] }, "$quantity", 0] },
+            },
+          },
+        },
+      ])
+      .toArray(),
+    foodCollection
+      .aggregate([
+        { $match: { ...foodMatch, $expr: trendStart } },
+        { $group: { _id: monthOf(tz), listingsPosted: { $sum: 1 } } },
+      ])
+      .toArray(),
+    // Requests and bulk orders both move food to people, count them together
+    requestedCollection
+      .aggregate([
+        { $match: requestMatch },
+        { $project: { quantity: 1, status: 1, recipient: "$user" } },
+        {
+          $unionWith: {
+            coll: orderCollection.collectionName,
+            pipeline: [
+              { $match: orderMatch },
+              { $project: { quantity: 1, status: 1, recipient: "$userEmail" } },
+            ],
+          },
+        },
+        {
+          $set: {
+            completed: { $in: ["$status", COMPLETED] },
+            lost: { $in: ["$status", LOST] },
+          },
+        },
+        {
+          $facet: {
+            totals: [
+              {
+                $group: {
+                  _id: null,
+                  mealsClaimed: { $sum: { $cond: ["$lost", 0, "$quantity"] } },
+                  mealsPickedUp: { $sum: { $cond: ["$completed", "$quantity", 0] } },
+                  peopleHelped: {
+                    $addToSet: { $cond: ["$completed", "$recipient", "$$REMOVE"] },
+                  },
+                },
+              },
+            ],
+            trend: [
+              { $match: { $expr: trendStart } },
+              {
+                $group: {
+                  _id: monthOf(tz),
+                  mealsClaimed: { $sum: { $cond: ["$lost", 0, "$quantity"] } },
+                  mealsPickedUp: { $sum: { $cond: ["$completed", "$quantity", 0] } },
+                },
+              },
+            ],
+          },
+        },
+      ])
+      .toArray(),
+  ]);
+
+  const totals = claims.totals[0] || {};
+  const listingsByMonth = new Map(listingTrend.map((row) => [row._id, row]));
+  const claimsByMonth = new Map(claims.trend.map((row) => [row._id, row]));
+
+  return {
+    listingsPosted: listings?.listingsPosted || 0,
+    mealsClaimed: totals.mealsClaimed || 0,
+    mealsPickedUp: totals.mealsPickedUp || 0,
+    expiredListings: listings?.expiredListings || 0,
+    wastedMeals: listings?.wastedMeals || 0,
+    peopleHelped: totals.peopleHelped?.length || 0,
+    ...(!email && { activeDonors: listings?.donors.length || 0 }),
+    monthlyTrend: keys.map((month) => ({
+      month,
+      listingsPosted: listingsByMonth.get(month)?.listingsPosted || 0,
+      mealsClaimed: claimsByMonth.get(month)?.mealsClaimed || 0,
+      mealsPickedUp: claimsByMonth.get(month)?.mealsPickedUp || 0,
+    })),
+  };
+};
+
+/**
+ * Platform-wide stats for the public landing page, cached briefly since
+ * every visitor asks for the same numbers
+ * @param {Object} params
+ * @param {number} params.months - Length of the monthly trend
+ * @param {string} params.tz - IANA time zone for month boundaries
+ * @returns {Promise<Object>}
+ */
+export const getPlatformImpact = async ({ months, tz }) => {
+  const key = `${months}:${tz}`;
+  const cached = platformCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.stats;
+  }
+
+  const stats = await getImpactStats({ months, tz });
+  platformCache.set(key, { stats, expiresAt: Date.now() + PLATFORM_CACHE_MS });
+  return stats;
+};
@@ -0,0 +1,176 @@
+import { outboxCollection } from "./dbCollections.js";
+import { getMailTransport } from "./mailTransport.js";
+
+export const OUTBOX_STATUS = {
+  PENDING: "pending",
+  SENDING: "sending",
+  SENT: "sent",
+  DEAD: "dead",
+};
+
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 6;
+const BASE_DELAY_MS = Number(process.env.OUTBOX_BASE_DELAY_MS) || 30 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+// A message stuck in "sending" this long belongs to a worker that died
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+/**
+ * Delay before the next attempt: 30s, 1m, 2m, 4m, ... capped at 6h
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+export const backoffDelay = (attempts) =>
+  Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+
+/**
+ * Store an email in the outbox. It is sent by the outbox worker, a first
+ * attempt is made right away.
+ * @param {Object} message - nodemailer message (from, to, subject, html, text, attachments)
+ * @param {string} type - Kind of notification, for filtering in the admin view
+ * @returns {Promise<ObjectId>} Outbox id
+ */
+export const enqueueEmail = async (message, type) => {
+  const now = new Date();
+  const { insertedId } = await outboxCollection.insertOne({
+    type,
+    message,
+    status: OUTBOX_STATUS.PENDING,
+    attempts: 0,
+    maxAttempts: MAX_ATTEMPTS,
+    nextAttemptAt: now,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  setImmediate(() => {
+    processOutbox().catch((err) => {
+      console.error("Outbox processing failed:", err);
+    });
+  });
+
+  return insertedId;
+};
+
+/**
+ * Claim the next due message so no other worker sends it as well
+ * @returns {Promise<Object|null>}
+ */
+const claimNext = () => {
+  const now = new Date();
+  return outboxCollection.findOneAndUpdate(
+    {
+      $or: [
+        { status: OUTBOX_STATUS.PENDING, nextAttemptAt: { $lte: now } },
+        {
+          status: OUTBOX_STATUS.SENDING,
+          lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) },
+        },
+      ],
+    },
+    { $set: { status: OUTBOX_STATUS.SENDING, lockedAt: now, updatedAt: now } },
+    { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+  );
+};
+
+/**
+ * Try to deliver one claimed message and record the outcome
+ * @param {Object} entry - Outbox document
+ */
+const deliver = async (entry) => {
+  const attempts = entry.attempts + 1;
+  const now = new Date();
+
+  try {
+    const { messageId } = await getMailTransport().send(entry.message);
+    await outboxCollection.updateOne(
+      { _id: entry._id },
+      {
+        $set: {
+          status: OUTBOX_STATUS.SENT,
+          attempts,
+          messageId,
+          sentAt: now,
+          lastError: null,
+          updatedAt: now,
+        },
+        $unset: { lockedAt: "" },
+      }
+    );
+  } catch (error) {
+    const dead = attempts >= entry.maxAttempts;
+    await outboxCollection.updateOne(
+      { _id: entry._id },
+      {
+        $set: {
+          status: dead ? OUTBOX_STATUS.DEAD : OUTBOX_STATUS.PENDING,
+          attempts,
+          lastError: error.message,
+          nextAttemptAt: new Date(now.getTime() + backoffDelay(attempts)),
+          updatedAt: now,
+        },
+        $unset: { lockedAt: "" },
+      }
+    );
+    console.error(
+      `Email ${entry._id} failed (attempt ${attempts}/${entry.maxAttempts}):`,
+      error.message
+    );
+  }
+};
+
+let processing = null;
+
+/**
+ * Send every message that is due. Concurrent calls share one run.
+ * @param {number} [limit] - Maximum messages to handle in this run
+ * @returns {Promise<number>} Messages attempted
+ */
+export const processOutbox = (limit = 50) => {
+  if (!processing) {
+    processing = (async () => {
+      let handled = 0;
+      while (handled < limit) {
+        const entry = await claimNext();
+        if (!entry) break;
+        await deliver(entry);
+        handled += 1;
+      }
+      return handled;
+    })().finally(() => {
+      processing = null;
+    });
+  }
+  return processing;
+};
+
+/**
+ * Put a message back in the queue with a fresh set of attempts
+ * @param {ObjectId} id - Outbox id
+ * @returns {Promise<Object|null>} Updated entry, null if it does not exist
+ *   or is currently being sent
+ */
+export const resendEmail = async (id) => {
+  const now = new Date();
+  const entry = await outboxCollection.findOneAndUpdate(
+    { _id: id, status: { $ne: OUTBOX_STATUS.SENDING } },
+    {
+      $set: {
+        status: OUTBOX_STATUS.PENDING,
+        attempts: 0,
+        nextAttemptAt: now,
+        updatedAt: now,
+      },
+    },
+    { returnDocument: "after" }
+  );
+
+  if (entry) {
+    setImmediate(() => {
+      processOutbox().catch((err) => {
+        console.error("Outbox processing failed:", err);
+      });
+    });
+  }
+  return entry;
+};
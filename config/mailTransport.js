@@ -0,0 +1,98 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+
+/**
+ * A transport is anything with `send(message) => Promise<{ messageId }>`.
+ * MAIL_TRANSPORT picks the implementation:
+ * - `smtp` (default) delivers through the EMAIL_* SMTP settings
+ * - `file` writes each message as JSON into MAIL_OUTPUT_DIR
+ * - `json` only logs the serialized message, handy in tests
+ */
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: process.env.EMAIL_PORT,
+    secure: false, // true for 465, false for other ports
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+const createFileTransport = (dir) => ({
+  name: "file",
+  send: async (message) => {
+    const messageId = `${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(
+      path.join(dir, `${messageId}.json`),
+      JSON.stringify(message, null, 2)
+    );
+    return { messageId };
+  },
+});
+
+const createJsonTransport = () => {
+  const transporter = nodemailer.createTransport({ jsonTransport: true });
+  return {
+    name: "json",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      // Bodies carry addresses and unsubscribe tokens, only MAIL_DEBUG prints them
+      if (process.env.MAIL_DEBUG === "true") {
+        console.log("Mail (json transport):", info.message);
+      } else {
+        console.log(
+          "Mail (json transport):",
+          info.messageId,
+          `${[message.to].flat().filter(Boolean).length} recipient(s)`
+        );
+      }
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+let transport = null;
+
+/**
+ * The configured transport, created on first use
+ * @returns {{name: string, send: Function}}
+ */
+export const getMailTransport = () => {
+  if (!transport) {
+    switch (process.env.MAIL_TRANSPORT) {
+      case "file":
+        transport = createFileTransport(
+          process.env.MAIL_OUTPUT_DIR || path.resolve(".mail-outbox")
+        );
+        break;
+      case "json":
+        transport = createJsonTransport();
+        break;
+      default:
+        transport = createSmtpTransport();
+    }
+  }
+  return transport;
+};
+
+/**
+ * Replace the transport, e.g. with a stub in tests
+ * @param {{name: string, send: Function}} replacement
+ */
+export const setMailTransport = (replacement) => {
+  transport = replacement;
+};
@@ -0,0 +1,164 @@
+import { messageCollection } from "./dbCollections.js";
+import { notifyUser } from "./notificationService.js";
+import { sendUnreadMessagesNotification } from "./emailService.js";
+import { createPaginator, withCursor } from "../utils/pagination.js";
+
+const NUDGE_DELAY_MS = Number(process.env.MESSAGE_NUDGE_DELAY_MS) || 60 * 60 * 1000;
+
+const paginateMessages = createPaginator({
+  sortFields: { createdAt: { field: "_id", order: -1 } },
+  defaultSortBy: "createdAt",
+  defaultLimit: 30,
+});
+
+// Addresses stay on the server, the client only needs to know whose message it is
+const toPublicMessage = (message, user) => ({
+  _id: message._id,
+  body: message.body,
+  senderName: message.senderName,
+  senderRole: message.senderRole,
+  mine: message.senderEmail === user.email,
+  createdAt: message.createdAt,
+  readAt: message.readAt,
+});
+
+/**
+ * One page of a thread, newest first. Fetching marks the messages sent to
+ * the user as read, which is what the sender sees as a read receipt.
+ * @param {Object} thread - From loadTransaction
+ * @param {Object} user - `req.user`
+ * @param {Object} query - Validated paging query
+ * @returns {Promise<Object>} `{ messages, markedRead, pagination }`
+ */
+export const listMessages = async (thread, user, query) => {
+  const filter = { threadType: thread.type, threadId: thread.entity._id };
+  const plan = paginateMessages(query);
+
+  const [totalItems, docs] = await Promise.all([
+    messageCollection.countDocuments(filter),
+    messageCollection
+      .find(withCursor(filter, plan))
+      .sort(plan.sort)
+      .skip(plan.skip)
+      .limit(plan.fetchLimit)
+      .toArray(),
+  ]);
+  const { items, pagination } = plan.finish(docs, totalItems);
+
+  const readAt = new Date();
+  const { modifiedCount } = await messageCollection.updateMany(
+    { ...filter, recipientEmail: user.email, readAt: null },
+    { $set: { readAt } }
+  );
+
+  return {
+    messages: items.map((message) =>
+      toPublicMessage(
+        message.recipientEmail === user.email && !message.readAt
+          ? { ...message, readAt }
+          : message,
+        user
+      )
+    ),
+    markedRead: modifiedCount,
+    pagination,
+  };
+};
+
+/**
+ * Add a message to a thread and let the other party know in the app.
+ * Email follows later from the nudge job if it stays unread.
+ * @param {Object} thread - From loadTransaction
+ * @param {Object} user - `req.user`
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} The message as the sender sees it
+ */
+export const postMessage = async (thread, user, body) => {
+  const message = {
+    threadType: thread.type,
+    threadId: thread.entity._id,
+    foodName: thread.entity.foodName,
+    senderEmail: user.email,
+    senderName: user.name,
+    senderRole: thread.role,
+    recipientEmail: thread.other.email,
+    recipientName: thread.other.name,
+    body,
+    readAt: null,
+    nudgedAt: null,
+    createdAt: new Date(),
+  };
+  const { insertedId } = await messageCollection.insertOne(message);
+  message._id = insertedId;
+
+  notifyUser({
+    userEmail: thread.other.email,
+    type: "message",
+    title: `New message about ${thread.entity.foodName}`,
+    message: `${user.name}: ${body.length > 80 ? `${body.slice(0, 77)}...` : body}`,
+    entity: { type: thread.type, id: thread.entity._id },
+  }).catch((err) => {
+    console.error("Failed to store message notification:", err);
+  });
+
+  return toPublicMessage(message, user);
+};
+
+/**
+ * Email users about messages left unread for MESSAGE_NUDGE_DELAY_MS
+ * (default one hour). Each message is nudged about at most once, and
+ * one email covers everything unread in a thread.
+ * @returns {Promise<number>} Number of emails sent
+ */
+export const sendUnreadMessageNudges = async () => {
+  const threads = await messageCollection
+    .aggregate([
+      {
+        $match: {
+          readAt: null,
+          nudgedAt: null,
+          createdAt: { $lt: new Date(Date.now() - NUDGE_DELAY_MS) },
+        },
+      },
+      { $sort: { _id: 1 } },
+      {
+        $group: {
+          _id: {
+            recipientEmail: "$recipientEmail",
+            threadType: "$threadType",
+            threadId: "$threadId",
+          },
+          ids: { $push: "$_id" },
+          recipientName: { $last: "$recipientName" },
+          senderName: { $last: "$senderName" },
+          foodName: { $last: "$foodName" },
+          latest: { $last: "$body" },
+        },
+      },
+    ])
+    .toArray();
+
+  let sent = 0;
+  for (const thread of threads) {
+    const { modifiedCount } = await messageCollection.updateMany(
+      { _id: { $in: thread.ids }, readAt: null, nudgedAt: null },
+      { $set: { nudgedAt: new Date() } }
+    );
+    if (!modifiedCount) continue;
+
+    sent += 1;
+    sendUnreadMessagesNotification({
+      recipientEmail: thread._id.recipientEmail,
+      recipientName: thread.recipientName,
+      senderName: thread.senderName,
+      foodName: thread.foodName,
+      threadType: thread._id.threadType,
+      unreadCount: modifiedCount,
+      latestMessage: thread.latest,
+    }).catch((err) => {
+      console.error("Failed to send unread messages email:", err);
+    });
+  }
+
+  return sent;
+};
@@ -0,0 +1,79 @@
+import { EventEmitter } from "events";
+import { notificationCollection } from "./dbCollections.js";
+
+/**
+ * In-app notifications. Every stored notification is also emitted on
+ * `notificationEvents` ("notification", doc) so open SSE streams can push it,
+ * and marking notifications read emits ("read", { userEmail }).
+ * The emitter is per process, clients of another instance only see the
+ * notification on their next fetch.
+ */
+export const notificationEvents = new EventEmitter();
+// One listener per open stream
+notificationEvents.setMaxListeners(0);
+
+export const NOTIFICATION_TYPES = [
+  "food-request",
+  "bulk-order",
+  "request-status",
+  "order-status",
+  "listing-expired",
+  "listing-expiring-soon",
+  "message",
+  "review",
+];
+
+/**
+ * Store a notification for a user and push it to their open streams
+ * @param {Object} params - Notification parameters
+ * @param {string} params.userEmail - Email of the user being notified
+ * @param {string} params.type - One of NOTIFICATION_TYPES
+ * @param {string} params.title - Short headline
+ * @param {string} params.message - One line of detail
+ * @param {Object} [params.entity] - What it is about, `{ type: "food"|"request"|"order", id }`
+ * @returns {Promise<Object>} The stored notification
+ */
+export const notifyUser = async ({ userEmail, type, title, message, entity }) => {
+  const notification = {
+    userEmail,
+    type,
+    title,
+    message,
+    entityType: entity?.type || null,
+    entityId: entity?.id || null,
+    readAt: null,
+    createdAt: new Date(),
+  };
+
+  const result = await notificationCollection.insertOne(notification);
+  notification._id = result.insertedId;
+  notificationEvents.emit("notification", notification);
+  return notification;
+};
+
+/**
+ * Count a user's unread notifications
+ * @param {string} userEmail
+ * @returns {Promise<number>}
+ */
+export const countUnread = (userEmail) =>
+  notificationCollection.countDocuments({ userEmail, readAt: null });
+
+/**
+ * Mark notifications as read, either the given ones or all of them
+ * @param {string} userEmail - Only this user's notifications are touched
+ * @param {ObjectId[]} [ids] - Leave out to mark everything read
+ * @returns {Promise<number>} Number of notifications changed
+ */
+export const markRead = async (userEmail, ids) => {
+  const query = { userEmail, readAt: null };
+  if (ids) query._id = { $in: ids };
+
+  const { modifiedCount } = await notificationCollection.updateMany(query, {
+    $set: { readAt: new Date() },
+  });
+  if (modifiedCount) {
+    notificationEvents.emit("read", { userEmail });
+  }
+  return modifiedCount;
+};
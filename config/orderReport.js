@@ -0,0 +1,307 @@
+import { orderCollection } from "./dbCollections.js";
+import { HttpError } from "../utils/httpError.js";
+import { toCsv, toCsvRow } from "../utils/csv.js";
+
+// Orders that never turned into a sale
+const LOST_STATUSES = ["Cancelled", "Rejected"];
+
+const orderDateExpr = {
+  $convert: { input: "$orderDate", to: "date", onError: null, onNull: null },
+};
+const totalPriceExpr = {
+  $convert: { input: "$totalPrice", to: "double", onError: 0, onNull: 0 },
+};
+const revenueExpr = {
+  $cond: [{ $in: ["$status", LOST_STATUSES] }, 0, totalPriceExpr],
+};
+const quantityExpr = {
+  $cond: [{ $in: ["$status", LOST_STATUSES] }, 0, "$quantity"],
+};
+
+/**
+ * Check that a string names a time zone the runtime (and Mongo) understands
+ * @param {string} tz - IANA time zone, e.g. "Asia/Dhaka"
+ */
+export const assertTimeZone = (tz) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+  } catch {
+    throw new HttpError(400, "Validation failed", {
+      errors: [{ field: "query.tz", message: "must be a valid IANA time zone" }],
+    });
+  }
+};
+
+const dateParts = (value) => {
+  const [year, month, day = 1] = value.split("-").map(Number);
+  return { year, month, day };
+};
+
+/**
+ * Resolve the requested range into start/end expressions evaluated by Mongo
+ * in the given time zone, so months and days begin at local midnight
+ * @param {Object} params
+ * @param {string} [params.month] - YYYY-MM
+ * @param {string} [params.from] - YYYY-MM-DD, inclusive
+ * @param {string} [params.to] - YYYY-MM-DD, inclusive
+ * @param {string} params.tz - IANA time zone
+ * @returns {{label: string, start: Object|null, end: Object|null}}
+ */
+export const reportRange = ({ month, from, to, tz }) => {
+  const boundary = ({ year, month: m, day }) => ({
+    // Out-of-range months/days carry over, so month 13 is next January
+    $dateFromParts: { year, month: m, day, timezone: tz },
+  });
+
+  if (month && (from || to)) {
+    throw new HttpError(400, "Validation failed", {
+      errors: [{ field: "query.month", message: "cannot be combined with from or to" }],
+    });
+  }
+
+  if (month) {
+    const start = dateParts(month);
+    return {
+      label: month,
+      start: boundary(start),
+      end: boundary({ ...start, month: start.month + 1 }),
+    };
+  }
+
+  if (from && to && from > to) {
+    throw new HttpError(400, "Validation failed", {
+      errors: [{ field: "query.from", message: "must not be after to" }],
+    });
+  }
+
+  if (!from && !to) {
+    return { label: "all-time", start: null, end: null };
+  }
+
+  return {
+    label: `${from || "start"}_${to || "now"}`,
+    start: from ? boundary(dateParts(from)) : null,
+    end: to ? boundary({ ...dateParts(to), day: dateParts(to).day + 1 }) : null,
+  };
+};
+
+/**
+ * Filter for a party's orders in a date range
+ * @param {Object} match - Which orders (owner or customer filter)
+ * @param {Object} range - From reportRange
+ * @returns {Object} Mongo filter
+ */
+export const reportFilter = (match, range) => {
+  const conditions = [];
+  if (range.start) conditions.push({ $gte: [orderDateExpr, range.start] });
+  if (range.end) conditions.push({ $lt: [orderDateExpr, range.end] });
+  return { ...match, ...(conditions.length && { $expr: { $and: conditions } }) };
+};
+
+/**
+ * Aggregates for a party's orders in a date range, computed in a single
+ * aggregation. The orders themselves are read separately with reportFilter,
+ * a range can hold more of them than fit in one document.
+ * Quantities and revenue leave out Cancelled and Rejected orders, byStatus
+ * still shows theirs.
+ * @param {Object} params
+ * @param {Object} params.match - Which orders (owner or customer filter)
+ * @param {Object} params.range - From reportRange
+ * @param {string} params.tz - IANA time zone used for the per-day breakdown
+ * @returns {Promise<Object>} Report with summary, byStatus, byFood and byDay
+ */
+export const buildOrderReport = async ({ match, range, tz }) => {
+  const [result] = await orderCollection
+    .aggregate([
+      { $match: reportFilter(match, range) },
+      {
+        $facet: {
+          summary: [
+            {
+              $group: {
+                _id: null,
+                totalOrders: { $sum: 1 },
+                totalQuantity: { $sum: quantityExpr },
+                revenue: { $sum: revenueExpr },
+                cancelledOrders: {
+                  $sum: { $cond: [{ $eq: ["$status", "Cancelled"] }, 1, 0] },
+                },
+                rejectedOrders: {
+                  $sum: { $cond: [{ $eq: ["$status", "Rejected"] }, 1, 0] },
+                },
+              },
+            },
+            {
+              $project: {
+                _id: 0,
+                totalOrders: 1,
+                totalQuantity: 1,
+                revenue: { $round: ["$revenue", 2] },
+                cancelledOrders: 1,
+                rejectedOrders: 1,
+                cancellationRate: {
+                  $round: [{ $divide: ["$cancelledOrders", "$totalOrders"] }, 4],
+                },
+              },
+            },
+          ],
+          byStatus: [
+            {
+              $group: {
+                _id: "$status",
+                orders: { $sum: 1 },
+                quantity: { $sum: "$quantity" },
+                totalPrice: { $sum: totalPriceExpr },
+              },
+            },
+            { $sort: { orders: -1 } },
+            {
+              $project: {
+                _id: 0,
+                status: "$_id",
+                orders: 1,
+                quantity: 1,
+                totalPrice: { $round: ["$totalPrice", 2] },
+              },
+            },
+          ],
+          byFood: [
+            {
+              $group: {
+                _id: { foodId: "$foodId", foodName: "$foodName" },
+                orders: { $sum: 1 },
+                quantity: { $sum: quantityExpr },
+                revenue: { $sum: revenueExpr },
+              },
+            },
+            { $sort: { revenue: -1 } },
+            {
+              $project: {
+                _id: 0,
+                foodId: "$_id.foodId",
+                foodName: "$_id.foodName",
+                orders: 1,
+                quantity: 1,
+                revenue: { $round: ["$revenue", 2] },
+              },
+            },
+          ],
+          byDay: [
+            {
+              $group: {
+                _id: {
+                  $dateToString: { format: "%Y-%m-%d", date: orderDateExpr, timezone: tz },
+                },
+                orders: { $sum: 1 },
+                quantity: { $sum: quantityExpr },
+                revenue: { $sum: revenueExpr },
+              },
+            },
+            { $sort: { _id: 1 } },
+            {
+              $project: {
+                _id: 0,
+                date: "$_id",
+                orders: 1,
+                quantity: 1,
+                revenue: { $round: ["$revenue", 2] },
+              },
+            },
+          ],
+        },
+      },
+    ])
+    .toArray();
+
+  return {
+    range: { label: range.label, timeZone: tz },
+    summary: result.summary[0] || {
+      totalOrders: 0,
+      totalQuantity: 0,
+      revenue: 0,
+      cancelledOrders: 0,
+      rejectedOrders: 0,
+      cancellationRate: 0,
+    },
+    byStatus: result.byStatus,
+    byFood: result.byFood,
+    byDay: result.byDay,
+  };
+};
+
+const ORDER_COLUMNS = [
+  { key: "_id", label: "Order ID" },
+  { key: "orderDate", label: "Order Date" },
+  { key: "foodName", label: "Food" },
+  { key: "userName", label: "Customer" },
+  { key: "ownerName", label: "Owner" },
+  { key: "quantity", label: "Quantity" },
+  { key: "totalPrice", label: "Total Price" },
+  { key: "status", label: "Status" },
+  { key: "deliveryDate", label: "Delivery Date" },
+];
+
+/**
+ * Flatten a report into one CSV document with a titled block per section,
+ * produced in chunks so the orders can be streamed as they are read
+ * @param {Object} report - From buildOrderReport
+ * @param {AsyncIterable<Object>} orders - The report's orders, e.g. a find cursor
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* reportToCsv(report, orders) {
+  const sections = [
+    [
+      "Summary",
+      [{ ...report.summary, range: report.range.label, timeZone: report.range.timeZone }],
+      [
+        { key: "range", label: "Range" },
+        { key: "timeZone", label: "Time Zone" },
+        { key: "totalOrders", label: "Total Orders" },
+        { key: "totalQuantity", label: "Total Quantity" },
+        { key: "revenue", label: "Revenue" },
+        { key: "cancelledOrders", label: "Cancelled" },
+        { key: "rejectedOrders", label: "Rejected" },
+        { key: "cancellationRate", label: "Cancellation Rate" },
+      ],
+    ],
+    [
+      "By Status",
+      report.byStatus,
+      [
+        { key: "status", label: "Status" },
+        { key: "orders", label: "Orders" },
+        { key: "quantity", label: "Quantity" },
+        { key: "totalPrice", label: "Total Price" },
+      ],
+    ],
+    [
+      "By Food",
+      report.byFood,
+      [
+        { key: "foodName", label: "Food" },
+        { key: "orders", label: "Orders" },
+        { key: "quantity", label: "Quantity" },
+        { key: "revenue", label: "Revenue" },
+      ],
+    ],
+    [
+      "By Day",
+      report.byDay,
+      [
+        { key: "date", label: "Date" },
+        { key: "orders", label: "Orders" },
+        { key: "quantity", label: "Quantity" },
+        { key: "revenue", label: "Revenue" },
+      ],
+    ],
+  ];
+
+  yield sections
+    .map(([title, rows, columns]) => `${title}\r\n${toCsv(rows, columns)}`)
+    .join("\r\n\r\n");
+
+  yield `\r\n\r\nOrders\r\n${toCsv([], ORDER_COLUMNS)}`;
+  for await (const order of orders) {
+    yield `\r\n${toCsvRow(order, ORDER_COLUMNS)}`;
+  }
+}
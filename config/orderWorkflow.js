@@ -0,0 +1,311 @@
+import { withTransaction } from "./db.config.js";
+import { foodCollection, orderCollection } from "./dbCollections.js";
+import { syncFoodStatus, SYSTEM_USER } from "./requestWorkflow.js";
+import { sendOrderStatusNotification } from "./emailService.js";
+import { notifyUser } from "./notificationService.js";
+import { createStateMachine, historyEntry } from "../utils/stateMachine.js";
+import { HttpError, toObjectId } from "../utils/httpError.js";
+
+export const ORDER_STATUS = {
+  PENDING: "Pending",
+  CONFIRMED: "Confirmed",
+  PREPARING: "Preparing",
+  OUT_FOR_DELIVERY: "OutForDelivery",
+  DELIVERED: "Delivered",
+  CANCELLED: "Cancelled",
+  REJECTED: "Rejected",
+};
+
+export const orderMachine = createStateMachine({
+  [ORDER_STATUS.PENDING]: {
+    [ORDER_STATUS.CONFIRMED]: ["owner"],
+    [ORDER_STATUS.REJECTED]: ["owner"],
+    [ORDER_STATUS.CANCELLED]: ["customer"],
+  },
+  [ORDER_STATUS.CONFIRMED]: {
+    [ORDER_STATUS.PREPARING]: ["owner"],
+    [ORDER_STATUS.CANCELLED]: ["owner", "customer"],
+  },
+  [ORDER_STATUS.PREPARING]: {
+    [ORDER_STATUS.OUT_FOR_DELIVERY]: ["owner"],
+    [ORDER_STATUS.CANCELLED]: ["owner"],
+  },
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: {
+    [ORDER_STATUS.DELIVERED]: ["owner"],
+  },
+});
+
+// Orders in these states no longer hold stock
+export const RELEASED_ORDER_STATUSES = [
+  ORDER_STATUS.CANCELLED,
+  ORDER_STATUS.REJECTED,
+];
+
+/**
+ * Which side of an order the user is on
+ * @param {Object} order - Order document
+ * @param {Object} user - `req.user`
+ * @returns {"owner"|"customer"}
+ */
+export const orderRole = (order, user) => {
+  if (order.ownerEmail === user.email) return "owner";
+  if (order.userEmail === user.email) return "customer";
+  throw new HttpError(403, "You can only update your own orders");
+};
+
+/**
+ * Place an order for a listing. Owner, name and price all come from the
+ * listing, and the stock is taken in the same transaction as the insert.
+ * @param {Object} params
+ * @param {string} params.foodId - Food id from the body
+ * @param {number} params.quantity - Servings ordered
+ * @param {string} params.deliveryDate - Requested delivery date
+ * @param {string} params.address - Delivery address
+ * @param {string} [params.description] - Notes for the owner
+ * @param {Object} params.user - `req.user` placing the order
+ * @returns {Promise<Object>} Inserted order
+ */
+export const placeOrder = async ({
+  foodId,
+  quantity,
+  deliveryDate,
+  address,
+  description,
+  user,
+}) => {
+  const _id = toObjectId(foodId);
+  const food = await foodCollection.findOne({ _id, deletedAt: null });
+  if (!food) {
+    throw new HttpError(404, "Food item not found");
+  }
+  if (food.userEmail === user.email) {
+    throw new HttpError(400, "You cannot order your own food.");
+  }
+
+  const unitPrice = Number(food.price) || 0;
+  const now = new Date();
+
+  const order = await withTransaction(async (session) => {
+    const reserved = await foodCollection.findOneAndUpdate(
+      { _id, status: "Available", deletedAt: null, quantity: { $gte: quantity } },
+      { $inc: { quantity: -quantity } },
+      { session, returnDocument: "after" }
+    );
+    if (!reserved) {
+      // Report what is left now, not what was read before the transaction
+      const latest = await foodCollection.findOne(
+        { _id },
+        { session, projection: { quantity: 1 } }
+      );
+      const remainingQuantity = latest?.quantity || 0;
+      throw new HttpError(409, `Only ${remainingQuantity} left in stock`, {
+        remainingQuantity,
+      });
+    }
+
+    const doc = {
+      foodId: _id,
+      foodName: food.foodName,
+      foodImg: food.foodImg,
+      ownerEmail: food.userEmail,
+      ownerName: food.userName,
+      userEmail: user.email,
+      userName: user.name,
+      quantity,
+      unitPrice,
+      totalPrice: unitPrice * quantity,
+      deliveryDate,
+      address,
+      description,
+      orderDate: now.toISOString(),
+      status: ORDER_STATUS.PENDING,
+      statusHistory: [
+        historyEntry({
+          from: null,
+          to: ORDER_STATUS.PENDING,
+          user,
+          role: "customer",
+        }),
+      ],
+    };
+    const { insertedId } = await orderCollection.insertOne(doc, { session });
+    return { ...doc, _id: insertedId };
+  });
+
+  await syncFoodStatus(_id);
+  return order;
+};
+
+/**
+ * Change an order's status. Moving into Cancelled or Rejected puts the
+ * reserved stock back on the listing in the same transaction.
+ * @param {Object} order - Order document as read before the change
+ * @param {Object} $set - Fields to set, must include `status`
+ * @param {Object} [extra] - Additional update operators (e.g. `$push`)
+ * @returns {Promise<Object>} Updated order
+ */
+export const updateOrderStatus = async (order, $set, extra = {}) => {
+  const releases =
+    RELEASED_ORDER_STATUSES.includes($set.status) &&
+    !RELEASED_ORDER_STATUSES.includes(order.status) &&
+    order.foodId &&
+    order.quantity > 0;
+
+  const updated = await withTransaction(async (session) => {
+    // Matching on the old status keeps concurrent updates from both applying
+    const result = await orderCollection.findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      { $set, ...extra },
+      { session, returnDocument: "after" }
+    );
+    if (!result) {
+      throw new HttpError(409, "Order was updated by someone else, please retry");
+    }
+    if (releases) {
+      await foodCollection.updateOne(
+        { _id: order.foodId },
+        { $inc: { quantity: order.quantity } },
+        { session }
+      );
+    }
+    return result;
+  });
+
+  if (order.foodId) {
+    await syncFoodStatus(order.foodId);
+  }
+  return updated;
+};
+
+/**
+ * Move an order along its lifecycle on behalf of one of its parties,
+ * record the change in `statusHistory` and email the other party
+ * @param {string} id - Order id from the route
+ * @param {string} to - Target status
+ * @param {Object} user - `req.user`
+ * @param {string} [reason] - Why the order is changing, required to cancel
+ * @returns {Promise<Object>} Updated order
+ */
+export const transitionOrder = async (id, to, user, reason) => {
+  const order = await orderCollection.findOne({ _id: toObjectId(id) });
+  if (!order) {
+    throw new HttpError(404, "Order not found");
+  }
+
+  const role = orderRole(order, user);
+  const from = order.status || ORDER_STATUS.PENDING;
+  orderMachine.assertTransition(from, to, role);
+
+  if (to === ORDER_STATUS.CANCELLED && !reason?.trim()) {
+    throw new HttpError(400, "A reason is required to cancel an order");
+  }
+
+  const $set = { status: to, updatedAt: new Date().toISOString() };
+  if (to === ORDER_STATUS.CANCELLED) {
+    $set.cancellationReason = reason.trim();
+  }
+
+  const updated = await updateOrderStatus(order, $set, {
+    $push: {
+      statusHistory: historyEntry({ from, to, user, role, reason: reason?.trim() }),
+    },
+  });
+
+  const recipientIsOwner = role === "customer";
+  const recipientEmail = recipientIsOwner ? order.ownerEmail : order.userEmail;
+  sendOrderStatusNotification({
+    recipientEmail,
+    recipientName: recipientIsOwner ? order.ownerName : order.userName,
+    actorName: user.name,
+    foodName: order.foodName,
+    quantity: order.quantity,
+    status: to,
+    reason,
+  }).catch((err) => {
+    console.error("Failed to send order status email:", err);
+  });
+  notifyUser({
+    userEmail: recipientEmail,
+    type: "order-status",
+    title: `Order ${to} - ${order.foodName}`,
+    message: reason?.trim() || `Updated by ${user.name}`,
+    entity: { type: "order", id: order._id },
+  }).catch((err) => {
+    console.error("Failed to store order status notification:", err);
+  });
+
+  return updated;
+};
+
+// Orders the platform may still call off, later ones are already on their way
+const CANCELLABLE_ORDER_STATUSES = [
+  ORDER_STATUS.PENDING,
+  ORDER_STATUS.CONFIRMED,
+  ORDER_STATUS.PREPARING,
+];
+
+/**
+ * Cancel the orders on a listing that are not on their way yet, on behalf
+ * of the platform, and let each customer know
+ * @param {Object} food - Food document
+ * @param {string} reason - Shown to customers and kept in statusHistory
+ * @returns {Promise<number>} Number of orders cancelled
+ */
+export const cancelOpenOrders = async (food, reason) => {
+  const openOrders = await orderCollection
+    .find({ foodId: food._id, status: { $in: CANCELLABLE_ORDER_STATUSES } })
+    .toArray();
+
+  let cancelled = 0;
+  for (const order of openOrders) {
+    try {
+      await updateOrderStatus(
+        order,
+        {
+          status: ORDER_STATUS.CANCELLED,
+          cancellationReason: reason,
+          updatedAt: new Date().toISOString(),
+        },
+        {
+          $push: {
+            statusHistory: historyEntry({
+              from: order.status,
+              to: ORDER_STATUS.CANCELLED,
+              user: SYSTEM_USER,
+              role: "system",
+              reason,
+            }),
+          },
+        }
+      );
+    } catch (err) {
+      // Someone else moved it on in the meantime
+      if (err instanceof HttpError && err.status === 409) continue;
+      throw err;
+    }
+
+    cancelled += 1;
+    sendOrderStatusNotification({
+      recipientEmail: order.userEmail,
+      recipientName: order.userName,
+      actorName: SYSTEM_USER.name,
+      foodName: order.foodName,
+      quantity: order.quantity,
+      status: ORDER_STATUS.CANCELLED,
+      reason,
+    }).catch((err) => {
+      console.error("Failed to send order status email:", err);
+    });
+    notifyUser({
+      userEmail: order.userEmail,
+      type: "order-status",
+      title: `Order ${ORDER_STATUS.CANCELLED} - ${order.foodName}`,
+      message: reason,
+      entity: { type: "order", id: order._id },
+    }).catch((err) => {
+      console.error("Failed to store order status notification:", err);
+    });
+  }
+
+  return cancelled;
+};
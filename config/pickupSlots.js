@@ -0,0 +1,115 @@
+import { ObjectId } from "mongodb";
+import { foodCollection, requestedCollection } from "./dbCollections.js";
+import { OPEN_REQUEST_STATUSES } from "./requestWorkflow.js";
+import { HttpError } from "../utils/httpError.js";
+import { endOfDayInZone, PICKUP_TIME_ZONE } from "../utils/timeZone.js";
+
+const invalid = (field, message) =>
+  new HttpError(400, "Validation failed", {
+    errors: [{ field: `body.${field}`, message }],
+  });
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// End of the listing's expiry day in the zone emails show pickup times in,
+// pickups can't be later than that
+const endOfExpiryDay = (exDate) => endOfDayInZone(exDate, PICKUP_TIME_ZONE);
+
+/**
+ * Publish a pickup window on a listing. Windows on one listing may not
+ * overlap and have to fit before the listing expires.
+ * @param {Object} food - Food document owned by the caller
+ * @param {Object} window
+ * @param {Date} window.start
+ * @param {Date} window.end
+ * @param {number} window.capacity - How many requesters can pick up in it
+ * @returns {Promise<Object>} The new slot
+ */
+export const addPickupSlot = async (food, { start, end, capacity }) => {
+  if (start <= new Date()) {
+    throw invalid("start", "must be in the future");
+  }
+  if (end <= start) {
+    throw invalid("end", "must be after start");
+  }
+  if (food.exDate && end > endOfExpiryDay(food.exDate)) {
+    throw invalid("end", "must be before the listing expires");
+  }
+
+  const slots = food.pickupSlots || [];
+  const clash = slots.find((slot) => overlaps(slot, { start, end }));
+  if (clash) {
+    throw new HttpError(409, "This pickup window overlaps an existing one", {
+      conflictingSlotId: clash._id,
+    });
+  }
+
+  const slot = { _id: new ObjectId(), start, end, capacity, remaining: capacity };
+  // Matching the slot count keeps two concurrent publishes from both passing the overlap check
+  const unchanged = [{ pickupSlots: { $size: slots.length } }];
+  if (!slots.length) unchanged.push({ pickupSlots: { $exists: false } });
+
+  const { modifiedCount } = await foodCollection.updateOne(
+    { _id: food._id, $or: unchanged },
+    { $push: { pickupSlots: { $each: [slot], $sort: { start: 1 } } } }
+  );
+  if (!modifiedCount) {
+    throw new HttpError(409, "Pickup windows were changed by someone else, please retry");
+  }
+  return slot;
+};
+
+/**
+ * Refuse to move a listing's expiry date before the end of one of its
+ * published pickup windows
+ * @param {Object} food - Food document as stored
+ * @param {Date} exDate - New expiry date
+ */
+export const assertSlotsBeforeExpiry = (food, exDate) => {
+  const lastPickup = endOfExpiryDay(exDate);
+  const stranded = (food.pickupSlots || []).filter((slot) => slot.end > lastPickup);
+  if (stranded.length) {
+    throw new HttpError(409, "Some pickup windows end after the new expiry date, remove them first", {
+      slotIds: stranded.map((slot) => slot._id),
+    });
+  }
+};
+
+/**
+ * Remove a pickup window nobody has booked
+ * @param {Object} food - Food document owned by the caller
+ * @param {ObjectId} slotId
+ */
+export const removePickupSlot = async (food, slotId) => {
+  const slot = (food.pickupSlots || []).find((candidate) => candidate._id.equals(slotId));
+  if (!slot) {
+    throw new HttpError(404, "Pickup slot not found");
+  }
+
+  const { modifiedCount } = await foodCollection.updateOne(
+    { _id: food._id },
+    { $pull: { pickupSlots: { _id: slotId, remaining: slot.capacity } } }
+  );
+  if (!modifiedCount) {
+    throw new HttpError(409, "This pickup slot already has bookings");
+  }
+};
+
+/**
+ * Stop a requester from booking two pickups at the same time
+ * @param {string} userEmail - Requester
+ * @param {Object} slot - Slot about to be booked
+ */
+export const assertNoSlotConflict = async (userEmail, slot) => {
+  const clash = await requestedCollection.findOne({
+    user: userEmail,
+    status: { $in: OPEN_REQUEST_STATUSES },
+    "pickupSlot.start": { $lt: slot.end },
+    "pickupSlot.end": { $gt: slot.start },
+  });
+  if (clash) {
+    throw new HttpError(409, "You already have a pickup booked at this time", {
+      conflictingRequestId: clash._id,
+    });
+  }
+};
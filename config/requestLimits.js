@@ -0,0 +1,58 @@
+import { requestedCollection } from "./dbCollections.js";
+import { OPEN_REQUEST_STATUSES, REQUEST_STATUS } from "./requestWorkflow.js";
+import { HttpError } from "../utils/httpError.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const setting = (name, fallback) => Number(process.env[name]) || fallback;
+
+/**
+ * Refuse a new request when the user already holds too many open ones
+ * (MAX_OPEN_REQUESTS, default 5) or is cooling down after missing
+ * NO_SHOW_LIMIT (default 3) pickups within NO_SHOW_WINDOW_DAYS (default 30).
+ * The cooldown lasts NO_SHOW_COOLDOWN_DAYS (default 7) from the latest one.
+ * @param {Object} user - `req.user`
+ */
+export const assertCanRequest = async (user) => {
+  const maxOpen = setting("MAX_OPEN_REQUESTS", 5);
+  const noShowLimit = setting("NO_SHOW_LIMIT", 3);
+  const windowStart = new Date(Date.now() - setting("NO_SHOW_WINDOW_DAYS", 30) * DAY_MS);
+
+  const [openRequests, noShows] = await Promise.all([
+    requestedCollection.countDocuments({
+      user: user.email,
+      status: { $in: OPEN_REQUEST_STATUSES },
+    }),
+    requestedCollection
+      .find({
+        user: user.email,
+        status: REQUEST_STATUS.NO_SHOW,
+        updatedAt: { $gte: windowStart },
+      })
+      .sort({ updatedAt: -1 })
+      .limit(noShowLimit)
+      .project({ updatedAt: 1 })
+      .toArray(),
+  ]);
+
+  if (noShows.length >= noShowLimit) {
+    const cooldownUntil = new Date(
+      noShows[0].updatedAt.getTime() + setting("NO_SHOW_COOLDOWN_DAYS", 7) * DAY_MS
+    );
+    if (cooldownUntil > new Date()) {
+      throw new HttpError(
+        403,
+        `You missed ${noShows.length} pickups recently and can request food again after ${cooldownUntil.toISOString()}`,
+        { cooldownUntil }
+      );
+    }
+  }
+
+  if (openRequests >= maxOpen) {
+    throw new HttpError(
+      409,
+      `You already have ${openRequests} open requests, pick up or cancel one before requesting more`,
+      { openRequests, limit: maxOpen }
+    );
+  }
+};
@@ -0,0 +1,329 @@
+import {
+  foodCollection,
+  orderCollection,
+  requestedCollection,
+} from "./dbCollections.js";
+import { sendRequestStatusNotification } from "./emailService.js";
+import { notifyUser } from "./notificationService.js";
+import { createStateMachine, historyEntry } from "../utils/stateMachine.js";
+import { HttpError, toObjectId } from "../utils/httpError.js";
+
+export const REQUEST_STATUS = {
+  PENDING: "Pending",
+  APPROVED: "Approved",
+  PICKED_UP: "PickedUp",
+  REJECTED: "Rejected",
+  CANCELLED: "Cancelled",
+  NO_SHOW: "NoShow",
+};
+
+// Requests that still hold on to the listing
+export const OPEN_REQUEST_STATUSES = [
+  REQUEST_STATUS.PENDING,
+  REQUEST_STATUS.APPROVED,
+];
+
+export const requestMachine = createStateMachine({
+  [REQUEST_STATUS.PENDING]: {
+    [REQUEST_STATUS.APPROVED]: ["donor"],
+    [REQUEST_STATUS.REJECTED]: ["donor"],
+    [REQUEST_STATUS.CANCELLED]: ["requester"],
+  },
+  [REQUEST_STATUS.APPROVED]: {
+    [REQUEST_STATUS.PICKED_UP]: ["donor"],
+    [REQUEST_STATUS.CANCELLED]: ["donor", "requester"],
+    // Requester never came, counts towards the no-show cooldown
+    [REQUEST_STATUS.NO_SHOW]: ["donor"],
+  },
+});
+
+/**
+ * Which side of a request the user is on
+ * @param {Object} request - Request document
+ * @param {Object} user - `req.user`
+ * @returns {"donor"|"requester"}
+ */
+export const requestRole = (request, user) => {
+  if (request.donorEmail === user.email) return "donor";
+  if (request.user === user.email) return "requester";
+  throw new HttpError(403, "You are not part of this request");
+};
+
+/**
+ * Recompute a listing's status from its remaining quantity, requests and
+ * orders: Available while anything is left to claim, otherwise Requested
+ * while a claim or order is still open and PickedUp once everything has
+ * been collected or delivered
+ * @param {ObjectId} foodId - Food id
+ */
+export const syncFoodStatus = async (foodId) => {
+  const [openRequests, pickedUp, openOrders, delivered] = await Promise.all([
+    requestedCollection.countDocuments({
+      foodId,
+      status: { $in: OPEN_REQUEST_STATUSES },
+    }),
+    requestedCollection.countDocuments({
+      foodId,
+      status: REQUEST_STATUS.PICKED_UP,
+    }),
+    orderCollection.countDocuments({
+      foodId,
+      status: { $nin: ["Delivered", "Cancelled", "Rejected"] },
+    }),
+    orderCollection.countDocuments({ foodId, status: "Delivered" }),
+  ]);
+  const open = openRequests + openOrders;
+
+  let soldOutStatus = "Available";
+  if (open > 0) soldOutStatus = "Requested";
+  else if (pickedUp + delivered > 0) soldOutStatus = "PickedUp";
+
+  // Decided inside the update so it sees the quantity at write time
+  await foodCollection.updateOne({ _id: foodId, status: { $ne: "Expired" } }, [
+    {
+      $set: {
+        status: {
+          $cond: [{ $gt: ["$quantity", 0] }, "Available", soldOutStatus],
+        },
+      },
+    },
+  ]);
+};
+
+/**
+ * Reserve part of a listing. The decrement only applies when enough is
+ * left, so concurrent claims can never take the quantity below zero.
+ * Listings in the trash can't be claimed.
+ * @param {ObjectId} foodId - Food id
+ * @param {number} quantity - Amount to claim
+ * @returns {Promise<Object|null>} Updated food, or null when there is not enough left
+ */
+export const claimFoodQuantity = (foodId, quantity) =>
+  foodCollection.findOneAndUpdate(
+    { _id: foodId, status: "Available", deletedAt: null, quantity: { $gte: quantity } },
+    { $inc: { quantity: -quantity } },
+    { returnDocument: "after" }
+  );
+
+/**
+ * Give a claimed amount back to a listing
+ * @param {ObjectId} foodId - Food id
+ * @param {number} quantity - Amount to return
+ */
+export const releaseFoodQuantity = async (foodId, quantity) => {
+  if (!(quantity > 0)) return;
+  await foodCollection.updateOne({ _id: foodId }, { $inc: { quantity } });
+};
+
+/**
+ * Book one place in a listing's pickup slot if it has room and has not started
+ * @param {ObjectId} foodId - Food id
+ * @param {ObjectId} slotId - Pickup slot id
+ * @returns {Promise<Object|null>} The booked slot, null when full or gone
+ */
+export const reservePickupSlot = async (foodId, slotId) => {
+  const food = await foodCollection.findOneAndUpdate(
+    {
+      _id: foodId,
+      pickupSlots: {
+        $elemMatch: { _id: slotId, remaining: { $gt: 0 }, start: { $gt: new Date() } },
+      },
+    },
+    { $inc: { "pickupSlots.$.remaining": -1 } },
+    { returnDocument: "after", projection: { pickupSlots: 1 } }
+  );
+  return food?.pickupSlots.find((slot) => slot._id.equals(slotId)) || null;
+};
+
+/**
+ * Give a booked place back to its pickup slot
+ * @param {ObjectId} foodId - Food id
+ * @param {Object} [pickupSlot] - The request's pickupSlot, ignored when missing
+ */
+export const releasePickupSlot = async (foodId, pickupSlot) => {
+  if (!pickupSlot) return;
+  await foodCollection.updateOne(
+    { _id: foodId, "pickupSlots._id": pickupSlot._id },
+    { $inc: { "pickupSlots.$.remaining": 1 } }
+  );
+};
+
+const notifyRequestStatus = (request, userEmail, status, actor, reason) => {
+  notifyUser({
+    userEmail,
+    type: "request-status",
+    title: `Request ${status} - ${request.foodName}`,
+    message: reason || `Updated by ${actor.name}`,
+    entity: { type: "request", id: request._id },
+  }).catch((err) => {
+    console.error("Failed to store request status notification:", err);
+  });
+};
+
+/**
+ * Move a request to a new status on behalf of one of its parties, keep the
+ * listing in sync and email the other party
+ * @param {string} id - Request id from the route
+ * @param {string} to - Target status
+ * @param {Object} user - `req.user`
+ * @param {string} [reason] - Optional reason (shown in the email)
+ * @returns {Promise<Object>} Updated request
+ */
+export const transitionRequest = async (id, to, user, reason) => {
+  const request = await requestedCollection.findOne({ _id: toObjectId(id) });
+  if (!request) {
+    throw new HttpError(404, "Request not found");
+  }
+
+  const role = requestRole(request, user);
+  const from = request.status || REQUEST_STATUS.PENDING;
+  requestMachine.assertTransition(from, to, role);
+
+  // Matching on the old status keeps two concurrent updates from both applying
+  const updated = await requestedCollection.findOneAndUpdate(
+    { _id: request._id, status: request.status },
+    {
+      $set: { status: to, updatedAt: new Date() },
+      $push: { statusHistory: historyEntry({ from, to, user, role, reason }) },
+    },
+    { returnDocument: "after" }
+  );
+  if (!updated) {
+    throw new HttpError(409, "Request was updated by someone else, please retry");
+  }
+
+  if ([REQUEST_STATUS.REJECTED, REQUEST_STATUS.CANCELLED, REQUEST_STATUS.NO_SHOW].includes(to)) {
+    await releaseFoodQuantity(request.foodId, request.quantity);
+    await releasePickupSlot(request.foodId, request.pickupSlot);
+  }
+  await syncFoodStatus(request.foodId);
+
+  const recipientIsDonor = role === "requester";
+  const recipientEmail = recipientIsDonor ? request.donorEmail : request.user;
+  sendRequestStatusNotification({
+    recipientEmail,
+    recipientName: recipientIsDonor ? request.donorName : request.requesterName,
+    actorName: user.name,
+    foodName: request.foodName,
+    location: request.location,
+    pickupSlot: request.pickupSlot,
+    requestId: request._id,
+    status: to,
+    reason,
+  }).catch((err) => {
+    console.error("Failed to send request status email:", err);
+  });
+  notifyRequestStatus(request, recipientEmail, to, user, reason);
+
+  return updated;
+};
+
+// Actor recorded in statusHistory for changes made by background jobs
+export const SYSTEM_USER = { email: "system", name: "BiteBuddy" };
+
+/**
+ * Cancel every open request on a listing on behalf of the platform,
+ * returning the claimed quantities and emailing each requester
+ * @param {Object} food - Food document
+ * @param {string} reason - Shown to requesters and kept in statusHistory
+ * @returns {Promise<number>} Number of requests cancelled
+ */
+export const cancelOpenRequests = async (food, reason) => {
+  const openRequests = await requestedCollection
+    .find({ foodId: food._id, status: { $in: OPEN_REQUEST_STATUSES } })
+    .toArray();
+
+  let cancelled = 0;
+  for (const request of openRequests) {
+    const { modifiedCount } = await requestedCollection.updateOne(
+      { _id: request._id, status: request.status },
+      {
+        $set: { status: REQUEST_STATUS.CANCELLED, updatedAt: new Date() },
+        $push: {
+          statusHistory: historyEntry({
+            from: request.status,
+            to: REQUEST_STATUS.CANCELLED,
+            user: SYSTEM_USER,
+            role: "system",
+            reason,
+          }),
+        },
+      }
+    );
+    if (!modifiedCount) continue;
+
+    cancelled += 1;
+    await releaseFoodQuantity(food._id, request.quantity);
+    await releasePickupSlot(food._id, request.pickupSlot);
+    sendRequestStatusNotification({
+      recipientEmail: request.user,
+      recipientName: request.requesterName,
+      actorName: SYSTEM_USER.name,
+      foodName: request.foodName,
+      location: request.location,
+      pickupSlot: request.pickupSlot,
+      requestId: request._id,
+      status: REQUEST_STATUS.CANCELLED,
+      reason,
+    }).catch((err) => {
+      console.error("Failed to send request status email:", err);
+    });
+    notifyRequestStatus(request, request.user, REQUEST_STATUS.CANCELLED, SYSTEM_USER, reason);
+  }
+
+  return cancelled;
+};
+
+/**
+ * Migration for the one_open_request_per_user index: where a user holds
+ * several open requests on one listing, keep the oldest and cancel the rest,
+ * giving their quantity and pickup slots back. Does nothing once the index
+ * exists, so it is safe to run on every boot.
+ * @returns {Promise<number>} Number of requests cancelled
+ */
+export const cancelDuplicateOpenRequests = async () => {
+  const duplicates = await requestedCollection
+    .aggregate([
+      { $match: { status: { $in: OPEN_REQUEST_STATUSES } } },
+      { $sort: { _id: 1 } },
+      {
+        $group: {
+          _id: { foodId: "$foodId", user: "$user" },
+          requests: {
+            $push: { _id: "$_id", status: "$status", quantity: "$quantity", pickupSlot: "$pickupSlot" },
+          },
+        },
+      },
+      { $match: { "requests.1": { $exists: true } } },
+    ])
+    .toArray();
+
+  const reason = "Duplicate of an earlier open request on the same listing";
+  let cancelled = 0;
+  for (const { _id: group, requests } of duplicates) {
+    for (const request of requests.slice(1)) {
+      const { modifiedCount } = await requestedCollection.updateOne(
+        { _id: request._id, status: request.status },
+        {
+          $set: { status: REQUEST_STATUS.CANCELLED, updatedAt: new Date() },
+          $push: {
+            statusHistory: historyEntry({
+              from: request.status,
+              to: REQUEST_STATUS.CANCELLED,
+              user: SYSTEM_USER,
+              role: "system",
+              reason,
+            }),
+          },
+        }
+      );
+      if (!modifiedCount) continue;
+
+      cancelled += 1;
+      await releaseFoodQuantity(group.foodId, request.quantity);
+      await releasePickupSlot(group.foodId, request.pickupSlot);
+    }
+    await syncFoodStatus(group.foodId);
+  }
+  return cancelled;
+};
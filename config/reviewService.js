@@ -0,0 +1,110 @@
+import { reviewCollection, userCollection } from "./dbCollections.js";
+import { notifyUser } from "./notificationService.js";
+import { HttpError } from "../utils/httpError.js";
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Recompute a user's average rating and review count and store them on the
+ * user as `reputation`
+ * @param {string} email - User being reviewed
+ * @returns {Promise<Object>} `{ average, count }`
+ */
+export const refreshReputation = async (email) => {
+  const [stats] = await reviewCollection
+    .aggregate([
+      { $match: { revieweeEmail: email } },
+      { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  const reputation = {
+    average: stats ? Math.round(stats.average * 10) / 10 : null,
+    count: stats?.count || 0,
+  };
+  await userCollection.updateOne({ email }, { $set: { reputation } });
+  return reputation;
+};
+
+/**
+ * Rate the other party of a finished request (PickedUp) or order (Delivered).
+ * Each party can review a transaction once.
+ * @param {Object} transaction - From loadTransaction
+ * @param {Object} user - `req.user`
+ * @param {Object} review
+ * @param {number} review.rating - 1 to 5
+ * @param {string} [review.comment]
+ * @returns {Promise<Object>} The stored review
+ */
+export const submitReview = async (transaction, user, { rating, comment }) => {
+  const { type, entity, role, other } = transaction;
+  if (!transaction.completed) {
+    throw new HttpError(
+      409,
+      type === "order"
+        ? "Orders can be reviewed once they are delivered"
+        : "Requests can be reviewed once the food is picked up"
+    );
+  }
+
+  const review = {
+    transactionType: type,
+    transactionId: entity._id,
+    foodId: entity.foodId,
+    foodName: entity.foodName,
+    reviewerEmail: user.email,
+    reviewerName: user.name,
+    reviewerRole: role,
+    revieweeEmail: other.email,
+    revieweeName: other.name,
+    revieweeRole: other.role,
+    rating,
+    comment: comment || null,
+    createdAt: new Date(),
+  };
+
+  try {
+    const { insertedId } = await reviewCollection.insertOne(review);
+    review._id = insertedId;
+  } catch (err) {
+    if (err.code === DUPLICATE_KEY) {
+      throw new HttpError(409, `You have already reviewed this ${type}`);
+    }
+    throw err;
+  }
+
+  await refreshReputation(other.email);
+
+  notifyUser({
+    userEmail: other.email,
+    type: "review",
+    title: `${user.name} rated you ${rating}/5`,
+    message: comment || `For ${entity.foodName}`,
+    entity: { type, id: entity._id },
+  }).catch((err) => {
+    console.error("Failed to store review notification:", err);
+  });
+
+  return review;
+};
+
+/**
+ * Add `donorReputation` ({ average, count }) to listings from their donor's
+ * user document, with one query for the whole batch
+ * @param {Object[]} foods - Food documents with `userEmail`
+ * @returns {Promise<Object[]>}
+ */
+export const withDonorReputation = async (foods) => {
+  const emails = [...new Set(foods.map((food) => food.userEmail).filter(Boolean))];
+  const users = emails.length
+    ? await userCollection
+        .find({ email: { $in: emails } }, { projection: { email: 1, reputation: 1 } })
+        .toArray()
+    : [];
+  const byEmail = new Map(users.map((user) => [user.email, user.reputation]));
+
+  return foods.map((food) => ({
+    ...food,
+    donorReputation: byEmail.get(food.userEmail) || { average: null, count: 0 },
+  }));
+};
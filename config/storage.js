@@ -0,0 +1,62 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Where uploaded files live. A storage is
+ * `{ name, save(key, buffer, contentType), remove(key), urlFor(key), keyFromUrl(url) }`,
+ * so a cloud bucket only has to implement the same five members.
+ * STORAGE_DRIVER picks the implementation, `local` (the default) writes
+ * into UPLOAD_DIR and is served by Express under /uploads.
+ */
+
+const publicBaseUrl = () =>
+  process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+// Keys are generated by us, anything else is never touched on disk
+const SAFE_KEY = /^[\w-]+\.[a-z0-9]+$/;
+
+const createLocalStorage = (dir) => ({
+  name: "local",
+  // Mounted with express.static in index.js
+  staticDir: dir,
+  save: async (key, buffer) => {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, key), buffer, { flag: "wx" });
+  },
+  remove: async (key) => {
+    if (!SAFE_KEY.test(key)) return;
+    await fs.rm(path.join(dir, key), { force: true });
+  },
+  urlFor: (key) => `${publicBaseUrl()}/uploads/${key}`,
+  keyFromUrl: (url) => {
+    const prefix = `${publicBaseUrl()}/uploads/`;
+    if (typeof url !== "string" || !url.startsWith(prefix)) return null;
+    const key = url.slice(prefix.length);
+    return SAFE_KEY.test(key) ? key : null;
+  },
+});
+
+let storage = null;
+
+/**
+ * The configured storage, created on first use
+ * @returns {Object}
+ */
+export const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || "local";
+    if (driver !== "local") {
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+    }
+    storage = createLocalStorage(process.env.UPLOAD_DIR || path.resolve("uploads"));
+  }
+  return storage;
+};
+
+/**
+ * Replace the storage, e.g. with a bucket-backed one or a stub in tests
+ * @param {Object} replacement
+ */
+export const setStorage = (replacement) => {
+  storage = replacement;
+};
@@ -0,0 +1,109 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { ObjectId } from "mongodb";
+import { refreshTokenCollection } from "./dbCollections.js";
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Sign a short-lived access token for a user
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT
+ */
+export const signAccessToken = (user) =>
+  jwt.sign(
+    {
+      sub: user._id.toString(),
+      email: user.email,
+      name: user.name,
+      role: user.role || "user",
+    },
+    process.env.JWT_ACCESS_TOKEN,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+/**
+ * Issue a new refresh token. Only its hash is stored, the raw value goes
+ * to the client. Tokens rotated from the same login share a familyId.
+ * @param {ObjectId} userId - Owner of the token
+ * @param {string} [familyId] - Family to continue, a new one is started if omitted
+ * @returns {Promise<{token: string, expiresAt: Date}>}
+ */
+export const issueRefreshToken = async (userId, familyId) => {
+  const token = crypto.randomBytes(48).toString("hex");
+  const expiresAt = new Date(
+    Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  await refreshTokenCollection.insertOne({
+    tokenHash: hashToken(token),
+    userId,
+    familyId: familyId || new ObjectId().toString(),
+    createdAt: new Date(),
+    expiresAt,
+    revokedAt: null,
+  });
+
+  return { token, expiresAt };
+};
+
+/**
+ * Exchange a refresh token for a new one. Presenting a token that was
+ * already rotated or revoked is treated as theft and revokes its whole family.
+ * @param {string} token - Raw refresh token from the client
+ * @returns {Promise<{userId: ObjectId, token: string, expiresAt: Date} | null>}
+ *   null when the token is unknown, expired or revoked
+ */
+export const rotateRefreshToken = async (token) => {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  const current = await refreshTokenCollection.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now } }
+  );
+
+  if (!current) {
+    const reused = await refreshTokenCollection.findOne({ tokenHash });
+    if (reused) {
+      await revokeTokenFamily(reused.familyId);
+    }
+    return null;
+  }
+
+  const next = await issueRefreshToken(current.userId, current.familyId);
+  await refreshTokenCollection.updateOne(
+    { _id: current._id },
+    { $set: { replacedBy: hashToken(next.token) } }
+  );
+
+  return { userId: current.userId, ...next };
+};
+
+/**
+ * Revoke every still-active token rotated from the same login
+ * @param {string} familyId - Token family
+ */
+export const revokeTokenFamily = async (familyId) => {
+  await refreshTokenCollection.updateMany(
+    { familyId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+/**
+ * Revoke the family a raw refresh token belongs to (used on logout)
+ * @param {string} token - Raw refresh token from the client
+ */
+export const revokeRefreshToken = async (token) => {
+  const existing = await refreshTokenCollection.findOne({
+    tokenHash: hashToken(token),
+  });
+  if (existing) {
+    await revokeTokenFamily(existing.familyId);
+  }
+};
@@ -0,0 +1,57 @@
+import { requestedCollection, orderCollection } from "./dbCollections.js";
+import { REQUEST_STATUS, requestRole } from "./requestWorkflow.js";
+import { ORDER_STATUS, orderRole } from "./orderWorkflow.js";
+import { HttpError, toObjectId } from "../utils/httpError.js";
+
+// Who is on each side of a transaction
+const TRANSACTION_KINDS = {
+  request: {
+    collection: () => requestedCollection,
+    notFound: "Request not found",
+    completedStatus: REQUEST_STATUS.PICKED_UP,
+    role: requestRole,
+    parties: (request) => ({
+      donor: { email: request.donorEmail, name: request.donorName },
+      requester: { email: request.user, name: request.requesterName },
+    }),
+  },
+  order: {
+    collection: () => orderCollection,
+    notFound: "Order not found",
+    completedStatus: ORDER_STATUS.DELIVERED,
+    role: orderRole,
+    parties: (order) => ({
+      owner: { email: order.ownerEmail, name: order.ownerName },
+      customer: { email: order.userEmail, name: order.userName },
+    }),
+  },
+};
+
+/**
+ * Load a request or order and work out which side of it the user is on.
+ * Anyone other than the two parties gets a 403.
+ * @param {"request"|"order"} type
+ * @param {string|ObjectId} id - Request or order id
+ * @param {Object} user - `req.user`
+ * @returns {Promise<Object>} `{ type, entity, role, me, other, completed }`
+ */
+export const loadTransaction = async (type, id, user) => {
+  const kind = TRANSACTION_KINDS[type];
+  const entity = await kind.collection().findOne({ _id: toObjectId(id) });
+  if (!entity) {
+    throw new HttpError(404, kind.notFound);
+  }
+
+  const role = kind.role(entity, user);
+  const parties = kind.parties(entity);
+  const [otherRole] = Object.keys(parties).filter((key) => key !== role);
+
+  return {
+    type,
+    entity,
+    role,
+    me: { ...parties[role], role },
+    other: { ...parties[otherRole], role: otherRole },
+    completed: entity.status === kind.completedStatus,
+  };
+};
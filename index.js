@@ -2,13 +2,44 @@ import express from "express";
 import cors from "cors";
 import "dotenv/config";
 import { connectDB } from "./config/db.config.js";
+import { ensureIndexes } from "./config/dbIndexes.js";
+import { startJobs } from "./jobs/index.js";
+import { getStorage } from "./config/storage.js";
 import foodRouter from "./routes/foodRouter.js";
 import verifyRouter from "./routes/verifyRoute.js";
+import requestRouter from "./routes/requestRouter.js";
+import impactRouter from "./routes/impactRouter.js";
+import adminRouter from "./routes/adminRouter.js";
+import notificationRouter from "./routes/notificationRouter.js";
+import auditRouter from "./routes/auditRouter.js";
 import cookieParser from "cookie-parser";
 
+// Every email carries a signed unsubscribe link, so without the secret no
+// email could be queued
+if (!process.env.UNSUBSCRIBE_SECRET) {
+  throw new Error("UNSUBSCRIBE_SECRET must be set to sign unsubscribe links");
+}
+
 const app = express();
 const port = process.env.PORT || 3001;
 
+// Behind a proxy req.ip (used by the rate limits) comes from X-Forwarded-For.
+// TRUST_PROXY is true/false, a number of trusted hops, or a comma-separated
+// list of addresses, subnets and Express names like loopback.
+// On Vercel requests always arrive through its edge, one hop away.
+const parseTrustProxy = (value) => {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  const hops = Number(value);
+  if (Number.isInteger(hops)) return hops;
+  return value.split(",").map((entry) => entry.trim()).filter(Boolean);
+};
+
+const trustProxy = process.env.TRUST_PROXY?.trim() || (process.env.VERCEL ? "1" : "");
+if (trustProxy) {
+  app.set("trust proxy", parseTrustProxy(trustProxy));
+}
+
 app.use(
   cors({
     origin: ["http://localhost:5173", "https://bitebuddy-by-fatema.surge.sh"],
@@ -18,16 +49,41 @@ app.use(
 app.use(cookieParser());
 app.use(express.json());
 
+// Uploaded images when they are kept on local disk
+const { staticDir } = getStorage();
+if (staticDir && process.env.VERCEL) {
+  console.warn(
+    `Uploads are stored in ${staticDir}, which is not persistent on Vercel. Configure a bucket-backed storage.`
+  );
+}
+if (staticDir) {
+  app.use(
+    "/uploads",
+    express.static(staticDir, {
+      maxAge: "7d",
+      immutable: true,
+      setHeaders: (res) => res.set("X-Content-Type-Options", "nosniff"),
+    })
+  );
+}
+
 app.get("/", function (req, res) {
   res.send("Hello World");
 });
 
 // router
 app.use("/foods", foodRouter);
+app.use("/foods/requests", requestRouter);
 app.use("/auth", verifyRouter);
+app.use("/impact", impactRouter);
+app.use("/admin", adminRouter);
+app.use("/notifications", notificationRouter);
+app.use("/audit", auditRouter);
 
 connectDB()
+  .then(ensureIndexes)
   .then(() => {
+    startJobs();
     app.listen(port, () => {
       console.log(`Example app listening on port ${port}`);
     });
@@ -0,0 +1,64 @@
+import { scheduleJob } from "./scheduler.js";
+import { expireListings, sendExpiryReminders } from "../config/foodExpiry.js";
+import { processOutbox } from "../config/mailOutbox.js";
+import { sendDigests } from "../config/emailDigest.js";
+import { sendUnreadMessageNudges } from "../config/messageService.js";
+import { removeUnusedUploads } from "../config/imageService.js";
+import { purgeDeletedFoods } from "../config/foodTrash.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const OUTBOX_INTERVAL_MS = 30 * 1000;
+const MESSAGE_NUDGE_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Register the in-process background jobs. Set DISABLE_JOBS=true on
+ * instances that should only serve requests.
+ */
+export const startJobs = () => {
+  if (process.env.DISABLE_JOBS === "true") return;
+
+  const expiryInterval = Number(process.env.EXPIRY_JOB_INTERVAL_MS) || HOUR_MS;
+  scheduleJob("expire-listings", expiryInterval, async () => {
+    const expired = await expireListings();
+    const reminded = await sendExpiryReminders();
+    if (expired || reminded) {
+      console.log(`Expiry job: ${expired} expired, ${reminded} reminded`);
+    }
+  });
+
+  // Picks up retries that are due, new emails are attempted as they are queued
+  scheduleJob(
+    "email-outbox",
+    Number(process.env.OUTBOX_POLL_MS) || OUTBOX_INTERVAL_MS,
+    processOutbox
+  );
+
+  // Sends whatever is older than the last digest time, so a missed hour is caught up
+  scheduleJob("email-digest", HOUR_MS, async () => {
+    const sent = await sendDigests();
+    if (sent) {
+      console.log(`Digest job: ${sent} digests sent`);
+    }
+  });
+
+  scheduleJob("message-nudges", MESSAGE_NUDGE_INTERVAL_MS, async () => {
+    const sent = await sendUnreadMessageNudges();
+    if (sent) {
+      console.log(`Message nudge job: ${sent} reminders sent`);
+    }
+  });
+
+  scheduleJob("unused-uploads", HOUR_MS, async () => {
+    const removed = await removeUnusedUploads();
+    if (removed) {
+      console.log(`Upload cleanup job: ${removed} unused images removed`);
+    }
+  });
+
+  scheduleJob("purge-deleted-foods", HOUR_MS, async () => {
+    const purged = await purgeDeletedFoods();
+    if (purged) {
+      console.log(`Trash job: ${purged} deleted listings purged`);
+    }
+  });
+};
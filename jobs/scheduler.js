@@ -0,0 +1,40 @@
+const timers = new Map();
+
+/**
+ * Run `task` every `intervalMs`, starting right away. A run is skipped when
+ * the previous one is still in progress, and errors are logged rather than
+ * stopping the schedule.
+ * @param {string} name - Used in logs and to avoid registering a job twice
+ * @param {number} intervalMs - Time between runs
+ * @param {() => Promise<any>} task - Work to do
+ */
+export const scheduleJob = (name, intervalMs, task) => {
+  if (timers.has(name)) return;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (err) {
+      console.error(`Job ${name} failed:`, err);
+    } finally {
+      running = false;
+    }
+  };
+
+  // unref so a pending job never keeps the process alive on shutdown
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  timers.set(name, timer);
+  run();
+};
+
+/**
+ * Stop every scheduled job
+ */
+export const stopJobs = () => {
+  timers.forEach((timer) => clearInterval(timer));
+  timers.clear();
+};
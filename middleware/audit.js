@@ -0,0 +1,68 @@
+import { loadSnapshot, recordAudit } from "../config/auditLog.js";
+
+/**
+ * Id of the entity named in the route, e.g. `/update-food/:id`
+ */
+export const fromParams = (req) => req.params.id;
+
+/**
+ * Id of an entity the route creates, read from its JSON response
+ * @param {string} field - Response field holding the new id
+ */
+export const fromResponse = (field) => (req, body) => body?.[field];
+
+/**
+ * Record who changed what on every successful write of a route. The entity
+ * is loaded before the route runs and again once it has responded, and the
+ * difference is stored by recordAudit. Must run after verifyToken and
+ * validate. Auditing failures are logged and never affect the response.
+ * @param {string} entityType - One of AUDIT_ENTITY_TYPES
+ * @param {Function} [resolveId=fromParams] - `(req, responseBody) => id`,
+ *   called before the route (without a body) and after it
+ * @param {string} [action] - Recorded action when the snapshots alone don't
+ *   tell, e.g. `delete` for a soft delete
+ */
+export const audit =
+  (entityType, resolveId = fromParams, action) =>
+  async (req, res, next) => {
+    let before = null;
+    const knownId = resolveId(req, undefined);
+    if (knownId) {
+      try {
+        before = await loadSnapshot(entityType, knownId);
+      } catch (err) {
+        console.error("Failed to load audit snapshot:", err);
+        return next();
+      }
+    }
+
+    // res.send hands objects to res.json, which is where the body is caught
+    let body;
+    const json = res.json.bind(res);
+    res.json = (value) => {
+      body = value;
+      return json(value);
+    };
+
+    res.on("finish", () => {
+      if (res.statusCode >= 400) return;
+      const entityId = knownId || resolveId(req, body);
+      if (!entityId) return;
+
+      loadSnapshot(entityType, entityId)
+        .then((after) =>
+          recordAudit({
+            entityType,
+            entityId,
+            before,
+            after,
+            actor: req.user,
+            action,
+            route: `${req.method} ${req.baseUrl}${req.route?.path ?? req.path}`,
+          })
+        )
+        .catch((err) => console.error("Failed to write audit entry:", err));
+    });
+
+    next();
+  };
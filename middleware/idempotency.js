@@ -0,0 +1,105 @@
+import crypto from "crypto";
+import { idempotencyCollection } from "../config/dbCollections.js";
+import { HttpError, sendError } from "../utils/httpError.js";
+
+const DUPLICATE_KEY = 11000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// A request still marked processing after this long is assumed to have died
+const LOCK_MS = 60 * 1000;
+
+const ttlMs = () => (Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * HOUR_MS;
+
+const fingerprint = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify([req.params, req.body ?? null]))
+    .digest("hex");
+
+/**
+ * Make a POST safe to retry with an `Idempotency-Key` header. The first
+ * response for a key is stored for IDEMPOTENCY_TTL_HOURS
+ * (default 24) and replayed for repeats with `Idempotent-Replayed: true`.
+ * A repeat while the first is still running gets 409, reusing a key with a
+ * different body gets 422. Client errors are stored like successes, server
+ * errors and 429 free the key so the client can retry. Without the header
+ * the route runs as usual. Must run after verifyToken, keys are per user.
+ * @param {string} scope - Route name keeping keys of different routes apart
+ */
+export const idempotent = (scope) => async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) return next();
+
+  try {
+    if (!key.trim() || key.length > 255) {
+      throw new HttpError(400, "Validation failed", {
+        errors: [{ field: "headers.idempotency-key", message: "must be 1 to 255 characters" }],
+      });
+    }
+
+    const _id = `${scope}:${req.user.email}:${key}`;
+    const requestHash = fingerprint(req);
+    const now = new Date();
+
+    try {
+      await idempotencyCollection.insertOne({
+        _id,
+        requestHash,
+        status: "processing",
+        lockedAt: now,
+        expiresAt: new Date(now.getTime() + ttlMs()),
+      });
+    } catch (err) {
+      if (err.code !== DUPLICATE_KEY) throw err;
+
+      const existing = await idempotencyCollection.findOne({ _id });
+      if (existing && existing.requestHash !== requestHash) {
+        throw new HttpError(422, "This Idempotency-Key was already used with a different request");
+      }
+      if (existing?.status === "completed") {
+        return res
+          .status(existing.statusCode)
+          .set("Idempotent-Replayed", "true")
+          .send(existing.body);
+      }
+
+      // Take over a key whose first request never finished
+      const reclaimed = await idempotencyCollection.findOneAndUpdate(
+        { _id, status: "processing", lockedAt: { $lt: new Date(now.getTime() - LOCK_MS) } },
+        { $set: { lockedAt: now } }
+      );
+      if (!reclaimed) {
+        throw new HttpError(409, "A request with this Idempotency-Key is still being processed");
+      }
+    }
+
+    let body;
+    const json = res.json.bind(res);
+    res.json = (value) => {
+      body = value;
+      return json(value);
+    };
+
+    res.on("finish", () => {
+      const retryable = res.statusCode >= 500 || res.statusCode === 429;
+      const saved = retryable
+        ? idempotencyCollection.deleteOne({ _id })
+        : idempotencyCollection.updateOne(
+            { _id },
+            {
+              $set: {
+                status: "completed",
+                statusCode: res.statusCode,
+                // Round-trips through JSON so ids and dates replay exactly as first sent
+                body: JSON.parse(JSON.stringify(body ?? null)),
+              },
+            }
+          );
+      saved.catch((err) => console.error("Failed to save idempotent response:", err));
+    });
+
+    next();
+  } catch (err) {
+    sendError(res, err);
+  }
+};
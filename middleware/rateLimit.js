@@ -0,0 +1,107 @@
+import { rateLimitCollection } from "../config/dbCollections.js";
+import { HttpError, sendError } from "../utils/httpError.js";
+
+/**
+ * Fixed-window counters. A store is `{ hit(key, windowMs) }` resolving to
+ * `{ count, resetAt }` for the window the call falls in.
+ * RATE_LIMIT_STORE picks the implementation: `memory` (the default) counts
+ * per process, `mongo` shares the counts between instances.
+ */
+
+const createMemoryStore = () => {
+  const windows = new Map();
+  let nextSweep = 0;
+
+  return {
+    name: "memory",
+    hit: async (key, windowMs) => {
+      const now = Date.now();
+      // Drop finished windows now and then so idle keys don't pile up
+      if (now >= nextSweep) {
+        for (const [stored, window] of windows) {
+          if (window.resetAt <= now) windows.delete(stored);
+        }
+        nextSweep = now + 60 * 1000;
+      }
+
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: new Date(window.resetAt) };
+    },
+  };
+};
+
+const createMongoStore = () => ({
+  name: "mongo",
+  hit: async (key, windowMs) => {
+    const start = Math.floor(Date.now() / windowMs) * windowMs;
+    const resetAt = new Date(start + windowMs);
+    // One document per key and window, removed by the TTL index on expiresAt
+    const window = await rateLimitCollection.findOneAndUpdate(
+      { _id: `${key}:${start}` },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+      { upsert: true, returnDocument: "after" }
+    );
+    return { count: window.count, resetAt };
+  },
+});
+
+let store = null;
+
+/**
+ * The configured counter store, created on first use
+ * @returns {Object}
+ */
+export const getRateLimitStore = () => {
+  if (!store) {
+    const driver = process.env.RATE_LIMIT_STORE || "memory";
+    if (driver === "memory") store = createMemoryStore();
+    else if (driver === "mongo") store = createMongoStore();
+    else throw new Error(`Unknown RATE_LIMIT_STORE: ${driver}`);
+  }
+  return store;
+};
+
+/**
+ * Counts per signed-in user, falling back to the client address
+ */
+export const byUserOrIp = (req) => req.user?.email || req.ip;
+
+/**
+ * Reject callers that go over `max` requests per `windowMs` with a 429 and
+ * Retry-After. If the store can't be reached the request is let through.
+ * @param {Object} options
+ * @param {string} options.name - Prefix keeping each limit's counters apart
+ * @param {number} options.max - Requests allowed per window
+ * @param {number} options.windowMs - Window length
+ * @param {Function} [options.key=byUserOrIp] - `(req) => string` identifying the caller
+ * @param {string} [options.message]
+ */
+export const rateLimit =
+  ({ name, max, windowMs, key = byUserOrIp, message = "Too many requests, please try again later" }) =>
+  async (req, res, next) => {
+    let window;
+    try {
+      window = await getRateLimitStore().hit(`${name}:${key(req)}`, windowMs);
+    } catch (err) {
+      console.error("Rate limit store failed:", err);
+      return next();
+    }
+
+    const retryAfter = Math.max(1, Math.ceil((window.resetAt.getTime() - Date.now()) / 1000));
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(0, max - window.count)),
+      "RateLimit-Reset": String(retryAfter),
+    });
+
+    if (window.count > max) {
+      res.set("Retry-After", String(retryAfter));
+      return sendError(res, new HttpError(429, message, { retryAfter }));
+    }
+    next();
+  };
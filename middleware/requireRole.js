@@ -0,0 +1,14 @@
+/**
+ * Allow only callers with one of the given roles. Must run after verifyToken.
+ * @param {...string} roles - Accepted roles
+ */
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).send({ message: "Forbidden Access" });
+    }
+    next();
+  };
+
+export default requireRole;
@@ -0,0 +1,46 @@
+import multer from "multer";
+import { IMAGE_CONTENT_TYPES } from "../config/imageService.js";
+import { HttpError, sendError } from "../utils/httpError.js";
+
+const MAX_IMAGE_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+
+const invalidImage = (field, message) =>
+  new HttpError(400, "Validation failed", {
+    errors: [{ field: `body.${field}`, message }],
+  });
+
+// Kept in memory so the content can be checked before anything is stored
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_CONTENT_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(invalidImage(file.fieldname, `must be one of ${IMAGE_CONTENT_TYPES.join(", ")}`));
+  },
+});
+
+/**
+ * Accept a single image in multipart field `field` as `req.file`.
+ * Missing, oversized or non-image files end the request with the usual
+ * validation error shape.
+ * @param {string} field - Form field name
+ */
+export const uploadImage = (field) => (req, res, next) => {
+  imageUpload.single(field)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return sendError(
+        res,
+        err.code === "LIMIT_FILE_SIZE"
+          ? new HttpError(413, `Images can be at most ${Math.round(MAX_IMAGE_BYTES / 1024)} KB`)
+          : invalidImage(field, err.message)
+      );
+    }
+    if (err) {
+      return sendError(res, err);
+    }
+    if (!req.file) {
+      return sendError(res, invalidImage(field, "is required"));
+    }
+    next();
+  });
+};
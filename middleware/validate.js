@@ -0,0 +1,168 @@
+import { ObjectId } from "mongodb";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const fail = (message) => {
+  throw new TypeError(message);
+};
+
+/**
+ * Coercers for each supported field type. They get the raw value and the
+ * field's rules, and return the coerced value or throw a TypeError
+ * describing what was wrong with it.
+ */
+const coercers = {
+  string: (value, rules) => {
+    if (typeof value !== "string") fail("must be a string");
+    return rules.trim === false ? value : value.trim();
+  },
+  email: (value) => {
+    if (typeof value !== "string" || !EMAIL_PATTERN.test(value.trim())) {
+      fail("must be a valid email address");
+    }
+    return value.trim().toLowerCase();
+  },
+  number: (value) => {
+    // Number() reads a blank string as 0
+    if (typeof value === "string" && !value.trim()) fail("must be a number");
+    const number = typeof value === "string" ? Number(value) : value;
+    if (typeof number !== "number" || !Number.isFinite(number)) {
+      fail("must be a number");
+    }
+    return number;
+  },
+  integer: (value) => {
+    const number = coercers.number(value);
+    if (!Number.isInteger(number)) fail("must be a whole number");
+    return number;
+  },
+  boolean: (value) => {
+    if (typeof value === "boolean") return value;
+    if (value === "true" || value === "1") return true;
+    if (value === "false" || value === "0") return false;
+    fail("must be true or false");
+  },
+  date: (value) => {
+    const date = new Date(value);
+    if (value === null || typeof value === "boolean" || Number.isNaN(date.getTime())) {
+      fail("must be a valid date");
+    }
+    return date;
+  },
+  objectId: (value) => {
+    if (typeof value !== "string" || !ObjectId.isValid(value)) {
+      fail("must be a valid id");
+    }
+    return new ObjectId(value);
+  },
+};
+
+/**
+ * Check one value against its field rules
+ * @returns {string|undefined} Error message, if any
+ */
+const checkRules = (value, rules) => {
+  if (rules.enum && !rules.enum.includes(value)) {
+    return `must be one of ${rules.enum.join(", ")}`;
+  }
+  if (rules.pattern && !rules.pattern.test(value)) {
+    return rules.patternMessage || "has an invalid format";
+  }
+  if (typeof value === "string") {
+    if (rules.minLength !== undefined && value.length < rules.minLength) {
+      return `must be at least ${rules.minLength} characters`;
+    }
+    if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+      return `must be at most ${rules.maxLength} characters`;
+    }
+  }
+  if (typeof value === "number") {
+    if (rules.min !== undefined && value < rules.min) {
+      return `must be at least ${rules.min}`;
+    }
+    if (rules.max !== undefined && value > rules.max) {
+      return `must be at most ${rules.max}`;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Validate a plain object against a schema of the form
+ * `{ field: { type, required, default, enum, min, max, minLength, maxLength, pattern, trim } }`.
+ * Fields missing from the schema are dropped, empty strings count as missing.
+ * Strings are trimmed unless `trim: false`, e.g. for passwords.
+ * @param {Object} input - Raw input (body, query or params)
+ * @param {Object} schema - Field rules
+ * @param {string} location - Prefix used in error paths, e.g. "body"
+ * @returns {{ value: Object, errors: Array<{field: string, message: string}> }}
+ */
+export const validateObject = (input, schema, location) => {
+  const source = input && typeof input === "object" ? input : {};
+  const value = {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, rules]) => {
+    const raw = source[field];
+    const path = `${location}.${field}`;
+
+    if (raw === undefined || raw === null || raw === "") {
+      if (rules.required) {
+        errors.push({ field: path, message: "is required" });
+      } else if (rules.default !== undefined) {
+        value[field] = rules.default;
+      }
+      return;
+    }
+
+    try {
+      const coerced = coercers[rules.type](raw, rules);
+      const problem = checkRules(coerced, rules);
+      if (problem) {
+        errors.push({ field: path, message: problem });
+      } else {
+        value[field] = coerced;
+      }
+    } catch (err) {
+      errors.push({ field: path, message: err.message });
+    }
+  });
+
+  return { value, errors };
+};
+
+/**
+ * Express middleware validating `req.body`, `req.query` and `req.params`.
+ * Each present schema replaces its part of the request with the whitelisted,
+ * coerced values; any problem ends the request with a 400 listing every
+ * invalid field.
+ * @param {{ body?: Object, query?: Object, params?: Object }} schemas
+ */
+export const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+  const results = {};
+
+  ["params", "query", "body"].forEach((location) => {
+    if (!schemas[location]) return;
+    const result = validateObject(req[location], schemas[location], location);
+    errors.push(...result.errors);
+    results[location] = result.value;
+  });
+
+  if (errors.length) {
+    return res.status(400).send({ message: "Validation failed", errors });
+  }
+
+  if (results.params) req.params = results.params;
+  if (results.body) req.body = results.body;
+  if (results.query) {
+    // Express 5 exposes req.query through a getter, shadow it on the request
+    Object.defineProperty(req, "query", {
+      value: results.query,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+  }
+  next();
+};
@@ -0,0 +1,27 @@
+import jwt from "jsonwebtoken";
+import { ObjectId } from "mongodb";
+
+/**
+ * Require a valid access token cookie and expose the caller as `req.user`
+ */
+const verifyToken = (req, res, next) => {
+  const token = req.cookies?.token;
+
+  if (!token) {
+    return res.status(401).send({ message: "Unauthorized Access" });
+  }
+  jwt.verify(token, process.env.JWT_ACCESS_TOKEN, (err, decode) => {
+    if (err || !ObjectId.isValid(decode.sub)) {
+      return res.status(401).send({ message: "Unauthorized Access" });
+    }
+    req.user = {
+      _id: new ObjectId(decode.sub),
+      email: decode.email,
+      name: decode.name,
+      role: decode.role,
+    };
+    next();
+  });
+};
+
+export default verifyToken;
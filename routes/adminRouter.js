@@ -0,0 +1,110 @@
+import express from "express";
+import { outboxCollection } from "../config/dbCollections.js";
+import { resendEmail } from "../config/mailOutbox.js";
+import { EMAIL_TEMPLATES, renderEmail } from "../config/emailTemplates.js";
+import { unsubscribeUrl } from "../config/emailPreferences.js";
+import verifyToken from "../middleware/verifyToken.js";
+import requireRole from "../middleware/requireRole.js";
+import { validate } from "../middleware/validate.js";
+import {
+  outboxIdSchema,
+  outboxListSchema,
+  templatePreviewSchema,
+} from "../schemas/adminSchemas.js";
+import { HttpError, sendError } from "../utils/httpError.js";
+import { createPaginator, withCursor } from "../utils/pagination.js";
+
+const adminRouter = express.Router();
+
+adminRouter.use(verifyToken, requireRole("admin"));
+
+const paginateOutbox = createPaginator({
+  sortFields: {
+    createdAt: { field: "_id", order: -1 },
+    nextAttemptAt: { field: "nextAttemptAt", order: 1 },
+    attempts: { field: "attempts", order: -1 },
+  },
+  defaultSortBy: "createdAt",
+  defaultLimit: 20,
+});
+
+adminRouter.get("/outbox", validate(outboxListSchema), async (req, res) => {
+  const { status, type } = req.query;
+
+  try {
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const plan = paginateOutbox(req.query);
+    const [totalItems, docs] = await Promise.all([
+      outboxCollection.countDocuments(query),
+      outboxCollection
+        .find(withCursor(query, plan))
+        // Bodies can be large, the detail route has them
+        .project({ "message.html": 0, "message.text": 0, "message.attachments": 0 })
+        .sort(plan.sort)
+        .skip(plan.skip)
+        .limit(plan.fetchLimit)
+        .toArray(),
+    ]);
+
+    const { items: emails, pagination } = plan.finish(docs, totalItems);
+    res.send({ emails, pagination });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+adminRouter.get("/outbox/:id", validate(outboxIdSchema), async (req, res) => {
+  try {
+    const email = await outboxCollection.findOne({ _id: req.params.id });
+    if (!email) {
+      throw new HttpError(404, "Email not found");
+    }
+    res.send(email);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+adminRouter.post("/outbox/:id/resend", validate(outboxIdSchema), async (req, res) => {
+  try {
+    const email = await resendEmail(req.params.id);
+    if (!email) {
+      throw new HttpError(409, "Email not found or currently being sent");
+    }
+    res.send({ message: "Email queued for delivery", email });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+adminRouter.get("/email-templates", (req, res) => {
+  res.send(
+    Object.entries(EMAIL_TEMPLATES).map(([name, { subject, sample }]) => ({
+      name,
+      subject,
+      fields: Object.keys(sample),
+    }))
+  );
+});
+
+// Renders a template with its sample data so copy and styling can be checked
+adminRouter.get("/email-templates/:name/preview", validate(templatePreviewSchema), (req, res) => {
+  try {
+    const { name } = req.params;
+    const email = renderEmail(name, {
+      ...EMAIL_TEMPLATES[name].sample,
+      unsubscribeUrl: unsubscribeUrl(req.user.email, name === "digest" ? "all" : name),
+    });
+
+    if (req.query.format === "json") return res.send(email);
+    if (req.query.format === "text") return res.type("text/plain").send(email.text);
+    res.type("html").send(email.html);
+  } catch (err) {
+    sendError(res, err, "Could not render template");
+  }
+});
+
+export default adminRouter;
@@ -0,0 +1,53 @@
+import express from "express";
+import { auditCollection } from "../config/dbCollections.js";
+import { parseEntityId } from "../config/auditLog.js";
+import verifyToken from "../middleware/verifyToken.js";
+import { validate } from "../middleware/validate.js";
+import { auditHistorySchema } from "../schemas/auditSchemas.js";
+import { HttpError, sendError } from "../utils/httpError.js";
+import { createPaginator, withCursor } from "../utils/pagination.js";
+
+const auditRouter = express.Router();
+
+auditRouter.use(verifyToken);
+
+const paginateAudit = createPaginator({
+  sortFields: { createdAt: { field: "_id", order: -1 } },
+  defaultSortBy: "createdAt",
+  defaultLimit: 20,
+});
+
+// Change history of a listing, request, order, message, review or upload, newest first.
+// Admins see every entity, other users only the ones they are a party to.
+auditRouter.get("/:entityType/:id", validate(auditHistorySchema), async (req, res) => {
+  const { entityType, id } = req.params;
+
+  try {
+    const query = { entityType, entityId: parseEntityId(entityType, id) };
+    if (req.user.role !== "admin") {
+      query.parties = req.user.email;
+    }
+
+    const plan = paginateAudit(req.query);
+    const [totalItems, docs] = await Promise.all([
+      auditCollection.countDocuments(query),
+      auditCollection
+        .find(withCursor(query, plan))
+        .sort(plan.sort)
+        .skip(plan.skip)
+        .limit(plan.fetchLimit)
+        .project({ parties: 0 })
+        .toArray(),
+    ]);
+    if (!totalItems) {
+      throw new HttpError(404, "No history found");
+    }
+
+    const { items: entries, pagination } = plan.finish(docs, totalItems);
+    res.send({ entries, pagination });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+export default auditRouter;
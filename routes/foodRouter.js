@@ -1,37 +1,177 @@
 import express from "express";
-import jwt from "jsonwebtoken";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
 import {
   foodCollection,
   orderCollection,
   requestedCollection,
 } from "../config/dbCollections.js";
-import { ObjectId } from "mongodb";
 import { sendFoodRequestNotification, sendBulkOrderNotification } from "../config/emailService.js";
+import { notifyUser } from "../config/notificationService.js";
+import verifyToken from "../middleware/verifyToken.js";
+import { validate } from "../middleware/validate.js";
+import { uploadImage } from "../middleware/upload.js";
+import { audit, fromParams, fromResponse } from "../middleware/audit.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { idempotent } from "../middleware/idempotency.js";
+import { HttpError, sendError, toObjectId, assertSelf } from "../utils/httpError.js";
+import { historyEntry } from "../utils/stateMachine.js";
+import {
+  REQUEST_STATUS,
+  OPEN_REQUEST_STATUSES,
+  syncFoodStatus,
+  claimFoodQuantity,
+  releaseFoodQuantity,
+  reservePickupSlot,
+  releasePickupSlot,
+} from "../config/requestWorkflow.js";
+import {
+  addPickupSlot,
+  removePickupSlot,
+  assertNoSlotConflict,
+  assertSlotsBeforeExpiry,
+} from "../config/pickupSlots.js";
+import { placeOrder, transitionOrder } from "../config/orderWorkflow.js";
+import { assertCanRequest } from "../config/requestLimits.js";
+import { listMessages, postMessage } from "../config/messageService.js";
+import { loadTransaction } from "../config/transactions.js";
+import { submitReview, withDonorReputation } from "../config/reviewService.js";
+import {
+  saveImage,
+  assertOwnImage,
+  markImageUsed,
+  releaseImage,
+} from "../config/imageService.js";
+import { notExpiredFilter, reopenIfUnexpired } from "../config/foodExpiry.js";
+import {
+  notDeletedFilter,
+  purgeDate,
+  trashFood,
+  restoreFood,
+} from "../config/foodTrash.js";
+import { searchFoods } from "../config/foodSearch.js";
+import {
+  assertTimeZone,
+  buildOrderReport,
+  reportFilter,
+  reportRange,
+  reportToCsv,
+} from "../config/orderReport.js";
+import { toGeoPoint } from "../utils/geo.js";
+import { escapeRegex } from "../utils/search.js";
+import { createPaginator, withCursor } from "../utils/pagination.js";
+import {
+  allFoodsSchema,
+  featuredFoodsSchema,
+  addFoodSchema,
+  foodDetailsSchema,
+  manageMyFoodsSchema,
+  updateFoodSchema,
+  foodIdSchema,
+  requestFoodSchema,
+  requestedFoodsSchema,
+  orderReportSchema,
+  ordersByEmailSchema,
+  ordersSchema,
+  orderStatusSchema,
+  placeOrderSchema,
+  pickupSlotSchema,
+  pickupSlotIdSchema,
+} from "../schemas/foodSchemas.js";
+import { messageListSchema, postMessageSchema } from "../schemas/messageSchemas.js";
+import { reviewSchema } from "../schemas/reviewSchemas.js";
 
 const foodRouter = express.Router();
 
-const verifyToken = (req, res, next) => {
-  const token = req.cookies?.token;
+const HOUR_MS = 60 * 60 * 1000;
+const DUPLICATE_KEY = 11000;
+
+// Per signed-in user, on top of the open request cap in assertCanRequest
+const requestFoodLimit = rateLimit({
+  name: "request-food",
+  max: Number(process.env.REQUEST_RATE_LIMIT) || 20,
+  windowMs: HOUR_MS,
+  message: "Too many food requests, please try again later",
+});
+
+const placeOrderLimit = rateLimit({
+  name: "place-order",
+  max: Number(process.env.ORDER_RATE_LIMIT) || 10,
+  windowMs: HOUR_MS,
+  message: "Too many orders, please try again later",
+});
 
-  if (!token) {
-    return res.status(401).send({ message: "Unauthorized Access" });
+/**
+ * Load a listing and make sure the caller donated it
+ * @param {string} id - Food id from the route
+ * @param {Object} user - `req.user`
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTrashed=false] - Also accept listings in the trash
+ * @returns {Promise<Object>} Food document
+ */
+const findOwnedFood = async (id, user, { includeTrashed = false } = {}) => {
+  const food = await foodCollection.findOne({ _id: toObjectId(id) });
+  if (!food) {
+    throw new HttpError(404, "Food item not found");
   }
-  jwt.verify(token, process.env.JWT_ACCESS_TOKEN, (err, decode) => {
-    if (err) {
-      console.log(err);
-      return res.status(401).send({ message: "Unauthorized Access" });
-    }
-    next();
-  });
+  if (food.userEmail !== user.email) {
+    throw new HttpError(403, "You can only manage your own listings");
+  }
+  if (food.deletedAt && !includeTrashed) {
+    throw new HttpError(409, "This listing is in the trash, restore it first");
+  }
+  return food;
 };
 
-foodRouter.get("/all-foods", async (req, res) => {
-  const { status, search, location, sortBy, sortOrder, page, limit } =
+// Calendar day of a stored or parsed date, for comparing expiry dates
+const toDay = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().split("T")[0];
+};
+
+const paginateMyFoods = createPaginator({
+  sortFields: {
+    createdAt: { field: "_id", order: -1 },
+    // Legacy listings store exDate as a string, see paginateFoods
+    exDate: { field: "exDate", order: 1, cursor: false },
+    quantity: { field: "quantity", order: -1 },
+    foodName: { field: "foodName", order: 1 },
+    status: { field: "status", order: 1 },
+    deletedAt: { field: "deletedAt", order: -1 },
+  },
+  defaultSortBy: "createdAt",
+  defaultLimit: 12,
+});
+
+const paginateOrders = createPaginator({
+  sortFields: {
+    orderDate: { field: "orderDate", order: -1 },
+    // Older orders store deliveryDate as a string
+    deliveryDate: { field: "deliveryDate", order: 1, cursor: false },
+    totalPrice: { field: "totalPrice", order: -1 },
+    quantity: { field: "quantity", order: -1 },
+    status: { field: "status", order: 1 },
+  },
+  defaultSortBy: "orderDate",
+  defaultLimit: 10,
+});
+
+/**
+ * Mongo filter for the orders a user is a party to.
+ * `role=owner` lists orders received for their food, anything else the orders they placed.
+ */
+const orderPartyFilter = (user, role) =>
+  role === "owner" ? { ownerEmail: user.email } : { userEmail: user.email };
+
+foodRouter.get("/all-foods", validate(allFoodsSchema), async (req, res) => {
+  const { status, search, location, includeExpired, lat, lng, radiusKm } =
     req.query;
 
   try {
-    // Build dynamic query
-    const query = {};
+    const near = toGeoPoint(lat, lng, "query");
+
+    // Build dynamic query, expired listings are hidden unless asked for
+    const query = { ...notDeletedFilter(), ...(!includeExpired && notExpiredFilter()) };
 
     // Filter by status (if provided)
     if (status) {
@@ -40,208 +180,229 @@ foodRouter.get("/all-foods", async (req, res) => {
 
     // Filter by location (case-insensitive partial match)
     if (location) {
-      query.location = { $regex: location, $options: "i" };
-    }
-
-    // Search in food name or location (case-insensitive)
-    if (search) {
-      query.$or = [
-        { foodName: { $regex: search, $options: "i" } },
-        { location: { $regex: search, $options: "i" } },
-      ];
+      query.location = { $regex: escapeRegex(location), $options: "i" };
     }
 
-    // Build sort options
-    const sort = {};
-    if (sortBy) {
-      // sortOrder: 'asc' = 1, 'desc' = -1, default to -1 (descending)
-      sort[sortBy] = sortOrder === "asc" ? 1 : -1;
-    }
-
-    // Pagination parameters
-    const pageNum = parseInt(page) || 1;
-    const limitNum = parseInt(limit) || 12;
-    const skip = (pageNum - 1) * limitNum;
-
-    // Get total count for pagination metadata
-    const totalItems = await foodCollection.countDocuments(query);
-
-    // Execute query with pagination
-    const foods = await foodCollection
-      .find(query)
-      .sort(sort || { createdAt: -1 })
-      .skip(skip)
-      .limit(limitNum)
-      .toArray();
-
-    // Send response with pagination metadata
-    res.send({
-      foods,
-      pagination: {
-        currentPage: pageNum,
-        totalPages: Math.ceil(totalItems / limitNum),
-        totalItems,
-        itemsPerPage: limitNum,
-        hasNextPage: pageNum * limitNum < totalItems,
-        hasPrevPage: pageNum > 1,
-      },
+    // Ranked text search with partial-match fallback, optionally near a point
+    const { foods, pagination, searchMode } = await searchFoods({
+      query,
+      search,
+      near,
+      radiusKm,
+      paging: req.query,
     });
+
+    res.send({ foods: await withDonorReputation(foods), searchMode, pagination });
   } catch (error) {
-    console.error("Error fetching foods:", error);
-    res.status(500).send({ message: "Something went wrong on server side" });
+    sendError(res, error, "Something went wrong on server side");
   }
 });
 
-foodRouter.get("/featured-foods", async (req, res) => {
+foodRouter.get("/featured-foods", validate(featuredFoodsSchema), async (req, res) => {
   try {
     const foods = await foodCollection
-      .find()
+      .find({ ...notDeletedFilter(), ...(!req.query.includeExpired && notExpiredFilter()) })
       .sort({ quantity: -1 })
       .limit(4)
       .toArray();
-    res.send(foods);
+    res.send(await withDonorReputation(foods));
   } catch (error) {
-    res.status(500).send({ message: "Something went wrong on server side" });
+    sendError(res, error, "Something went wrong on server side");
   }
 });
 
-foodRouter.post("/add-food", async (req, res) => {
+// Upload a listing photo, the returned url goes into foodImg
+foodRouter.post("/upload-image", verifyToken, uploadImage("image"), audit("upload", fromResponse("key")), async (req, res) => {
+  try {
+    res.status(201).send(await saveImage(req.file, req.user));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+foodRouter.post("/add-food", verifyToken, idempotent("add-food"), validate(addFoodSchema), audit("food", fromResponse("insertedId")), async (req, res) => {
   const data = req.body;
 
   try {
+    const { note, lat, lng, ...fields } = data;
+    const geo = toGeoPoint(lat, lng);
+    await assertOwnImage(fields.foodImg, req.user);
     const result = await foodCollection.insertOne({
-      ...data,
-      price: Number(data.price),
-      quantity: Number(data.quantity),
+      ...fields,
+      ...(geo && { geo }),
+      description: data.description || note,
+      userEmail: req.user.email,
+      userName: req.user.name,
       status: "Available",
+      createdAt: new Date(),
     });
+    await markImageUsed(fields.foodImg);
     res.send(result);
   } catch (error) {
-    res.status(500).send({ message: "Something went wrong on server side" });
+    sendError(res, error, "Something went wrong on server side");
   }
 });
 
-foodRouter.post("/food-details", async (req, res) => {
-  const id = req.body;
+foodRouter.post("/food-details", validate(foodDetailsSchema), async (req, res) => {
+  const { id } = req.body;
 
-  const query = { _id: new ObjectId(id) };
   try {
-    const food = await foodCollection.findOne(query);
-    res.send(food);
+    const food = await foodCollection.findOne({ _id: toObjectId(id), ...notDeletedFilter() });
+    if (!food) {
+      throw new HttpError(404, "Food item not found");
+    }
+    const [withReputation] = await withDonorReputation([food]);
+    res.send(withReputation);
   } catch (err) {
-    res.status(501).send({ message: "Something went wrong on server side" });
+    sendError(res, err, "Something went wrong on server side");
   }
 });
 
-foodRouter.post("/manage-myfoods", verifyToken, async (req, res) => {
+foodRouter.post("/manage-myfoods", verifyToken, validate(manageMyFoodsSchema), async (req, res) => {
   const { email } = req.body;
-  const { page, limit } = req.query;
-
-  const pageNum = parseInt(page) || 1;
-  const limitNum = parseInt(limit) || 12;
-  const skip = (pageNum - 1) * limitNum;
+  const inTrash = req.query.view === "trash";
 
   const query = {
-    userEmail: email,
+    userEmail: req.user.email,
+    deletedAt: inTrash ? { $ne: null } : null,
   };
   try {
+    assertSelf(req.user, email);
+    const plan = paginateMyFoods(req.query, inTrash ? { defaultSortBy: "deletedAt" } : {});
     const totalItems = await foodCollection.countDocuments(query);
 
-    const foods = await foodCollection
-      .find(query)
-      .sort({ _id: -1 })
-      .skip(skip)
-      .limit(limitNum)
+    const docs = await foodCollection
+      .find(withCursor(query, plan))
+      .sort(plan.sort)
+      .skip(plan.skip)
+      .limit(plan.fetchLimit)
       .toArray();
 
-    res.send({
-      foods,
-      pagination: {
-        currentPage: pageNum,
-        totalPages: Math.ceil(totalItems / limitNum),
-        totalItems,
-        itemsPerPage: limitNum,
-        hasNextPage: pageNum * limitNum < totalItems,
-        hasPrevPage: pageNum > 1,
-      },
-    });
+    const { items, pagination } = plan.finish(docs, totalItems);
+    const foods = inTrash ? items.map((food) => ({ ...food, purgeAt: purgeDate(food) })) : items;
+    res.send({ foods, pagination });
   } catch (error) {
-    res.status(500).send({ message: "Something went wrong on server side" });
+    sendError(res, error, "Something went wrong on server side");
   }
 });
 
-foodRouter.put("/update-food/:id", async (req, res) => {
+foodRouter.put("/update-food/:id", verifyToken, validate(updateFoodSchema), audit("food"), async (req, res) => {
   const { id } = req.params;
-  const updateData = req.body;
-  const { foodImg, foodName, quantity, location, exDate, note, description } = updateData;
-  const filter = { _id: new ObjectId(id) };
+  const { note, lat, lng, ...updateData } = req.body;
+  if (updateData.description === undefined && note !== undefined) {
+    updateData.description = note;
+  }
 
   try {
-    const existingFood = await foodCollection.findOne(filter);
-    if (!existingFood) {
-      return res.status(404).send({ message: "Food item not found" });
+    const geo = toGeoPoint(lat, lng);
+    if (geo) {
+      updateData.geo = geo;
     }
 
-    const existingDescription = existingFood.description || existingFood.note;
-    const newDescription = description || note;
-
-    const isUnchanged =
-      existingFood.foodName === foodName &&
-      existingFood.foodImg === foodImg &&
-      existingFood.location === location &&
-      existingFood.quantity === Number(quantity) &&
-      new Date(existingFood.exDate).toISOString().split('T')[0] === new Date(exDate).toISOString().split('T')[0] &&
-      existingDescription === newDescription &&
-      (existingFood.price || 0) === (updateData.price || 0);
-
-    if (isUnchanged) {
+    const existingFood = await findOwnedFood(id, req.user);
+    const filter = { _id: existingFood._id };
+
+    const existingValue = (field) =>
+      field === "description"
+        ? existingFood.description || existingFood.note
+        : existingFood[field];
+
+    // Only fields that were sent and differ from what is stored get written
+    const changes = Object.fromEntries(
+      Object.entries(updateData).filter(([field, value]) =>
+        value instanceof Date
+          ? toDay(existingValue(field)) !== toDay(value)
+          : typeof value === "object"
+            ? JSON.stringify(existingValue(field)) !== JSON.stringify(value)
+            : existingValue(field) !== value
+      )
+    );
+
+    if (!Object.keys(changes).length) {
       return res.status(400).send({ message: "No changes detected. Please update at least one field." });
     }
 
-    const options = { upsert: true };
+    if (changes.exDate) {
+      assertSlotsBeforeExpiry(existingFood, changes.exDate);
+    }
+    if (changes.foodImg) {
+      await assertOwnImage(changes.foodImg, req.user);
+    }
+
     const updateDoc = {
-      $set: {
-        foodImg,
-        foodName,
-        quantity,
-        location,
-        exDate,
-        description: newDescription,
-        price: updateData.price,
-      },
+      $set: { ...changes, updatedAt: new Date() },
     };
-    const result = await foodCollection.updateOne(filter, updateDoc, options);
+    const result = await foodCollection.updateOne(filter, updateDoc);
+    if (changes.exDate) {
+      await reopenIfUnexpired(existingFood._id);
+    }
+    // A changed quantity or expiry date can reopen or close the listing
+    await syncFoodStatus(existingFood._id);
+    if (changes.foodImg) {
+      await markImageUsed(changes.foodImg);
+      await releaseImage(existingFood.foodImg);
+    }
     res.send(result);
   } catch (err) {
-    console.error(err);
-    res.status(500).send({ message: "Server Side Error" });
+    sendError(res, err);
   }
 });
 
-foodRouter.delete("/all-foods/:id", async (req, res) => {
+foodRouter.delete("/all-foods/:id", verifyToken, validate(foodIdSchema), audit("food", fromParams, "delete"), async (req, res) => {
   const { id } = req.params;
-  const query = { _id: new ObjectId(id) };
   try {
-    const result = await foodCollection.deleteOne(query);
-    res.send(result);
+    const food = await findOwnedFood(id, req.user, { includeTrashed: true });
+    const result = await trashFood(food, req.user);
+    res.send({ message: "Listing moved to the trash", ...result });
   } catch (err) {
-    res.status(501).send({ message: "Server Side Error" });
+    sendError(res, err);
   }
 });
 
-foodRouter.post("/request-food/:id", async (req, res) => {
+foodRouter.patch("/all-foods/:id/restore", verifyToken, validate(foodIdSchema), audit("food", fromParams, "restore"), async (req, res) => {
+  try {
+    const food = await findOwnedFood(req.params.id, req.user, { includeTrashed: true });
+    await restoreFood(food);
+    res.send({ message: "Listing restored" });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Donor publishes a pickup window requesters can book
+foodRouter.post("/:id/pickup-slots", verifyToken, validate(pickupSlotSchema), audit("food"), async (req, res) => {
+  try {
+    const food = await findOwnedFood(req.params.id, req.user);
+    res.status(201).send(await addPickupSlot(food, req.body));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+foodRouter.delete("/:id/pickup-slots/:slotId", verifyToken, validate(pickupSlotIdSchema), audit("food"), async (req, res) => {
+  try {
+    const food = await findOwnedFood(req.params.id, req.user);
+    await removePickupSlot(food, req.params.slotId);
+    res.send({ message: "Pickup slot removed" });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+foodRouter.post("/request-food/:id", verifyToken, idempotent("request-food"), requestFoodLimit, validate(requestFoodSchema), audit("food"), audit("request", fromResponse("requestId")), async (req, res) => {
   const { id } = req.params;
-  const requestedData = req.body;
+  const { note, currentDate: requestDate, quantity, slotId } = req.body;
 
   try {
-    const query = { _id: new ObjectId(id) };
+    const query = { _id: toObjectId(id), ...notDeletedFilter() };
     const food = await foodCollection.findOne(query);
 
     if (!food) {
       return res.status(404).send({ message: "Food item not found" });
     }
 
-    if (food.userEmail === requestedData.user) {
+    // The requester is always the caller, whatever the body claims
+    if (food.userEmail === req.user.email) {
       return res.status(400).send({
         message: "You cannot request your own donated food.",
       });
@@ -259,235 +420,344 @@ foodRouter.post("/request-food/:id", async (req, res) => {
       });
     }
 
-    const result = await requestedCollection.insertOne(requestedData);
-    if (result.acknowledged) {
-      const options = { upsert: true };
-      const updateDoc = {
-        $set: {
-          status: "Requested",
-        },
-      };
-      const updatedData = await foodCollection.updateOne(
-        query,
-        updateDoc,
-        options
-      );
-
-      // Send email notification to food donor (non-blocking)
-      sendFoodRequestNotification({
-        donorEmail: food.userEmail,
-        donorName: food.userName,
-        foodName: food.foodName,
-        requesterEmail: requestedData.user,
-        requestDate: requestedData.currentDate,
-        note: requestedData.note,
-        quantity: food.quantity,
-        location: food.location,
-      }).catch((err) => {
-        console.error("Failed to send email notification:", err);
-        // Don't fail the request if email fails
+    if (food.status && food.status !== "Available") {
+      return res.status(409).send({
+        message: "This food item is no longer available",
       });
+    }
 
-      if (updatedData.modifiedCount > 0) {
-        return res.send({ message: "Successfully updated status" });
-      } else {
-        return res.send({
-          message: "Failed to update status.",
-        });
+    const duplicate = await requestedCollection.findOne({
+      foodId: food._id,
+      user: req.user.email,
+      status: { $in: OPEN_REQUEST_STATUSES },
+    });
+    if (duplicate) {
+      throw new HttpError(409, "You already have an open request for this food", {
+        requestId: duplicate._id,
+      });
+    }
+
+    await assertCanRequest(req.user);
+
+    // Without a quantity the request claims everything that is left
+    const requestedQuantity = quantity ?? food.quantity;
+    if (!(requestedQuantity > 0)) {
+      return res.status(409).send({
+        message: "This food item is no longer available",
+      });
+    }
+
+    // Listings with upcoming pickup windows need one picked
+    const slots = food.pickupSlots || [];
+    const slot = slotId && slots.find((candidate) => candidate._id.equals(slotId));
+    if (slotId && !slot) {
+      throw new HttpError(404, "Pickup slot not found");
+    }
+    if (!slotId && slots.some((candidate) => candidate.start > new Date())) {
+      throw new HttpError(400, "Validation failed", {
+        errors: [{ field: "body.slotId", message: "is required, choose one of the listing's pickup slots" }],
+      });
+    }
+    if (slot) {
+      await assertNoSlotConflict(req.user.email, slot);
+    }
+
+    const claimed = await claimFoodQuantity(food._id, requestedQuantity);
+    if (!claimed) {
+      const latest = await foodCollection.findOne(query);
+      return res.status(409).send({
+        message: `Only ${latest?.quantity || 0} left, please request a smaller quantity`,
+        remainingQuantity: latest?.quantity || 0,
+      });
+    }
+
+    const pickupSlot = slot && (await reservePickupSlot(food._id, slot._id));
+    if (slot && !pickupSlot) {
+      await releaseFoodQuantity(food._id, requestedQuantity);
+      throw new HttpError(409, "This pickup slot is full or has already started");
+    }
+
+    const now = new Date();
+    const requestDoc = {
+      foodId: food._id,
+      foodName: food.foodName,
+      foodImg: food.foodImg,
+      location: food.location,
+      exDate: food.exDate,
+      quantity: requestedQuantity,
+      donorEmail: food.userEmail,
+      donorName: food.userName,
+      user: req.user.email,
+      requesterName: req.user.name,
+      note,
+      pickupSlot: pickupSlot
+        ? { _id: pickupSlot._id, start: pickupSlot.start, end: pickupSlot.end }
+        : null,
+      requestDate: (requestDate || now).toISOString(),
+      status: REQUEST_STATUS.PENDING,
+      statusHistory: [
+        historyEntry({
+          from: null,
+          to: REQUEST_STATUS.PENDING,
+          user: req.user,
+          role: "requester",
+        }),
+      ],
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    let result;
+    try {
+      result = await requestedCollection.insertOne(requestDoc);
+    } catch (err) {
+      await releaseFoodQuantity(food._id, requestedQuantity);
+      await releasePickupSlot(food._id, requestDoc.pickupSlot);
+      // Lost a race with another request of the same user, see dbIndexes.js
+      if (err.code === DUPLICATE_KEY) {
+        throw new HttpError(409, "You already have an open request for this food");
       }
-    } else {
-      return res.send({ message: "Failed to request food" });
+      throw err;
     }
+
+    // The donor may have trashed the listing after the claim but before
+    // trashFood's cancellations could see this request
+    if (!(await foodCollection.findOne(query, { projection: { _id: 1 } }))) {
+      const { deletedCount } = await requestedCollection.deleteOne({
+        _id: result.insertedId,
+        status: REQUEST_STATUS.PENDING,
+      });
+      // Otherwise trashFood cancelled it and gave everything back already
+      if (deletedCount) {
+        await releaseFoodQuantity(food._id, requestedQuantity);
+        await releasePickupSlot(food._id, requestDoc.pickupSlot);
+      }
+      throw new HttpError(409, "This food item is no longer available");
+    }
+
+    await syncFoodStatus(food._id);
+
+    // Send email notification to food donor (non-blocking)
+    sendFoodRequestNotification({
+      donorEmail: food.userEmail,
+      donorName: food.userName,
+      foodName: food.foodName,
+      requesterName: req.user.name,
+      requestDate: requestDoc.requestDate,
+      note,
+      quantity: requestedQuantity,
+      location: food.location,
+      pickupSlot: requestDoc.pickupSlot,
+      requestId: result.insertedId,
+    }).catch((err) => {
+      console.error("Failed to send email notification:", err);
+      // Don't fail the request if email fails
+    });
+    notifyUser({
+      userEmail: food.userEmail,
+      type: "food-request",
+      title: `New request - ${food.foodName}`,
+      message: `${req.user.name} requested ${requestedQuantity}`,
+      entity: { type: "request", id: result.insertedId },
+    }).catch((err) => {
+      console.error("Failed to store request notification:", err);
+    });
+
+    res.send({
+      message: "Successfully updated status",
+      requestId: result.insertedId,
+      remainingQuantity: claimed.quantity,
+    });
   } catch (err) {
-    res.status(501).send({ message: "Server Side Error" });
+    sendError(res, err);
   }
 });
 
-foodRouter.post("/requested-foods", verifyToken, async (req, res) => {
+foodRouter.post("/requested-foods", verifyToken, validate(requestedFoodsSchema), async (req, res) => {
   const { email } = req.body;
   const query = {
-    user: email,
+    user: req.user.email,
   };
   try {
+    assertSelf(req.user, email);
     const foods = requestedCollection.find(query);
     const result = await foods.toArray();
     res.send(result);
   } catch (err) {
-    res.status(501).send({ message: "Server Side Error" });
+    sendError(res, err);
   }
 });
 
-// Get orders for report (filtered by month)
-foodRouter.get("/orders/report", verifyToken, async (req, res) => {
-  const { email, month } = req.query;
-  console.log(`Generating report for email: ${email}, month: ${month}`);
+// Order report for a month (YYYY-MM) or from/to range, as JSON or CSV
+foodRouter.get("/orders/report", verifyToken, validate(orderReportSchema), async (req, res) => {
+  const { email, month, from, to, tz, role, format } = req.query;
 
   try {
-    const query = { userEmail: email };
-
-    // If month is provided (format: YYYY-MM), filter by that month
-    if (month) {
-      const startDate = new Date(`${month}-01T00:00:00.000Z`);
-      const endDate = new Date(startDate);
-      endDate.setMonth(endDate.getMonth() + 1);
-
-      query.orderDate = {
-        $gte: startDate.toISOString(),
-        $lt: endDate.toISOString(),
-      };
-      console.log(`Date range: ${startDate.toISOString()} to ${endDate.toISOString()}`);
+    assertSelf(req.user, email);
+    assertTimeZone(tz);
+
+    const range = reportRange({ month, from, to, tz });
+    const match = orderPartyFilter(req.user, role);
+    const report = await buildOrderReport({ match, range, tz });
+    const query = reportFilter(match, range);
+
+    // The download holds every order, streamed from a cursor as it is written
+    if (format === "csv") {
+      const orders = orderCollection
+        .find(query)
+        .sort({ orderDate: -1, _id: -1 })
+        .project({ statusHistory: 0 });
+      res.type("text/csv").attachment(`orders-report-${range.label}.csv`);
+      return await pipeline(Readable.from(reportToCsv(report, orders)), res);
     }
 
-    console.log("Query:", JSON.stringify(query));
-
-    const orders = await orderCollection
-      .find(query)
-      .sort({ orderDate: -1 })
+    const plan = paginateOrders(req.query);
+    const docs = await orderCollection
+      .find(withCursor(query, plan))
+      .sort(plan.sort)
+      .skip(plan.skip)
+      .limit(plan.fetchLimit)
+      .project({ statusHistory: 0 })
       .toArray();
 
-    console.log(`Found ${orders.length} orders`);
-
-    res.send(orders);
+    const { items: orders, pagination } = plan.finish(docs, report.summary.totalOrders);
+    res.send({ ...report, orders, pagination });
   } catch (err) {
-    console.error("Error fetching report data:", err);
-    res.status(500).send({ message: "Server Side Error" });
+    // A failed download is already cut off, the status can't change any more
+    if (res.headersSent) return console.error(err);
+    sendError(res, err);
   }
 });
 
-foodRouter.get("/orders/:email", verifyToken, async (req, res) => {
+foodRouter.get("/orders/:email", verifyToken, validate(ordersByEmailSchema), async (req, res) => {
   const { email } = req.params;
-  const query = {
-    user: email,
-  };
+  // Orders the caller placed, like GET /orders without role=owner
+  const query = orderPartyFilter(req.user);
   try {
+    assertSelf(req.user, email);
     const foods = orderCollection.find(query);
     const result = await foods.toArray();
     res.send(result);
   } catch (err) {
-    res.status(501).send({ message: "Server Side Error" });
+    sendError(res, err);
   }
 });
 
-// Get orders by email (using query params)
-foodRouter.get("/orders", verifyToken, async (req, res) => {
-  const { email, page, limit } = req.query;
-
-  const pageNum = parseInt(page) || 1;
-  const limitNum = parseInt(limit) || 10;
-  const skip = (pageNum - 1) * limitNum;
+// Get the caller's orders, `role=owner` for orders received on their food
+foodRouter.get("/orders", verifyToken, validate(ordersSchema), async (req, res) => {
+  const { email, role } = req.query;
 
-  const query = {
-    userEmail: email,
-  };
+  const query = orderPartyFilter(req.user, role);
   try {
+    assertSelf(req.user, email);
+    const plan = paginateOrders(req.query);
     const totalItems = await orderCollection.countDocuments(query);
 
-    const orders = await orderCollection
-      .find(query)
-      .sort({ orderDate: -1 })
-      .skip(skip)
-      .limit(limitNum)
+    const docs = await orderCollection
+      .find(withCursor(query, plan))
+      .sort(plan.sort)
+      .skip(plan.skip)
+      .limit(plan.fetchLimit)
       .toArray();
 
-    res.send({
-      orders,
-      pagination: {
-        currentPage: pageNum,
-        totalPages: Math.ceil(totalItems / limitNum),
-        totalItems,
-        itemsPerPage: limitNum,
-        hasNextPage: pageNum * limitNum < totalItems,
-        hasPrevPage: pageNum > 1,
-      },
-    });
+    const { items: orders, pagination } = plan.finish(docs, totalItems);
+    res.send({ orders, pagination });
   } catch (err) {
-    console.error("Error fetching orders:", err);
-    res.status(500).send({ message: "Server Side Error" });
+    sendError(res, err);
   }
 });
 
 
 
 // Update order status
-foodRouter.patch("/orders/:id", verifyToken, async (req, res) => {
+foodRouter.patch("/orders/:id", verifyToken, validate(orderStatusSchema), audit("order"), async (req, res) => {
   const { id } = req.params;
-  const { status } = req.body;
+  const { status, reason } = req.body;
 
   try {
-    const filter = { _id: new ObjectId(id) };
-    const updateDoc = {
-      $set: {
-        status: status,
-        updatedAt: new Date().toISOString(),
-      },
-    };
-
-    const result = await orderCollection.updateOne(filter, updateDoc);
+    const order = await transitionOrder(id, status, req.user, reason);
+    res.send({ message: "Status updated successfully", order });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-    if (result.modifiedCount > 0) {
-      res.send({ message: "Status updated successfully" });
-    } else {
-      res.status(404).send({ message: "Order not found or status unchanged" });
-    }
+// Messages between the owner and the customer, fetching marks them read
+foodRouter.get("/orders/:id/messages", verifyToken, validate(messageListSchema), async (req, res) => {
+  try {
+    const thread = await loadTransaction("order", req.params.id, req.user);
+    res.send(await listMessages(thread, req.user, req.query));
   } catch (err) {
-    console.error("Error updating order status:", err);
-    res.status(500).send({ message: "Server Side Error" });
+    sendError(res, err);
   }
 });
 
-// Bulk Order Route
-foodRouter.post("/orders", async (req, res) => {
-  const orderData = req.body;
+foodRouter.post("/orders/:id/messages", verifyToken, validate(postMessageSchema), audit("message", fromResponse("_id")), async (req, res) => {
+  try {
+    const thread = await loadTransaction("order", req.params.id, req.user);
+    res.status(201).send(await postMessage(thread, req.user, req.body.body));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
+// Rate the other party once the order is delivered
+foodRouter.post("/orders/:id/review", verifyToken, validate(reviewSchema), audit("review", fromResponse("_id")), async (req, res) => {
   try {
-    // Validate required fields
-    if (!orderData.quantity || !orderData.deliveryDate || !orderData.address) {
-      return res.status(400).send({ message: "Missing required fields" });
-    }
+    const transaction = await loadTransaction("order", req.params.id, req.user);
+    const review = await submitReview(transaction, req.user, req.body);
+    res.status(201).send(review);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-    if (orderData.ownerEmail === orderData.userEmail) {
-      return res.status(400).send({
-        message: "You cannot order your own food.",
-      });
-    }
+// Bulk Order Route
+foodRouter.post("/orders", verifyToken, idempotent("place-order"), placeOrderLimit, validate(placeOrderSchema), audit("food", (req) => req.body.foodId), audit("order", fromResponse("orderId")), async (req, res) => {
+  const { foodId, quantity, deliveryDate, address, description } = req.body;
 
-    // Create order document
-    const order = {
-      ...orderData,
-      quantity: Number(orderData.quantity),
-      totalPrice: Number(orderData.totalPrice),
-      orderDate: new Date().toISOString(),
-      status: "Pending",
-    };
+  try {
+    const order = await placeOrder({
+      foodId,
+      quantity,
+      deliveryDate,
+      address,
+      description,
+      user: req.user,
+    });
 
-    const result = await orderCollection.insertOne(order);
-
-    if (result.acknowledged) {
-      sendBulkOrderNotification({
-        ownerEmail: orderData.ownerEmail,
-        ownerName: orderData.ownerName,
-        foodName: orderData.foodName,
-        customerName: orderData.userName,
-        customerEmail: orderData.userEmail,
-        quantity: orderData.quantity,
-        deliveryDate: orderData.deliveryDate,
-        deliveryAddress: orderData.address,
-        totalPrice: orderData.totalPrice,
-        notes: orderData.description,
-      }).catch((err) => {
-        console.error("Failed to send bulk order email notification:", err);
-        // Don't fail the order if email fails
-      });
+    sendBulkOrderNotification({
+      ownerEmail: order.ownerEmail,
+      ownerName: order.ownerName,
+      foodName: order.foodName,
+      customerName: order.userName,
+      quantity: order.quantity,
+      deliveryDate: order.deliveryDate,
+      deliveryAddress: order.address,
+      totalPrice: order.totalPrice,
+      notes: order.description,
+    }).catch((err) => {
+      console.error("Failed to send bulk order email notification:", err);
+      // Don't fail the order if email fails
+    });
+    notifyUser({
+      userEmail: order.ownerEmail,
+      type: "bulk-order",
+      title: `New order - ${order.foodName}`,
+      message: `${order.userName} ordered ${order.quantity} servings`,
+      entity: { type: "order", id: order._id },
+    }).catch((err) => {
+      console.error("Failed to store order notification:", err);
+    });
 
-      res.send({ message: "Order placed successfully", orderId: result.insertedId });
-    } else {
-      res.status(500).send({ message: "Failed to place order" });
-    }
+    res.send({
+      message: "Order placed successfully",
+      orderId: order._id,
+      totalPrice: order.totalPrice,
+    });
   } catch (err) {
-    console.error(err);
-    res.status(500).send({ message: "Server Side Error" });
+    sendError(res, err);
   }
 });
 
-
 export default foodRouter;
@@ -0,0 +1,35 @@
+import express from "express";
+import { getImpactStats, getPlatformImpact } from "../config/impactService.js";
+import { assertTimeZone } from "../config/orderReport.js";
+import verifyToken from "../middleware/verifyToken.js";
+import { validate } from "../middleware/validate.js";
+import { impactSchema } from "../schemas/impactSchemas.js";
+import { sendError } from "../utils/httpError.js";
+
+const impactRouter = express.Router();
+
+// Public numbers for the landing page
+impactRouter.get("/platform", validate(impactSchema), async (req, res) => {
+  const { months, tz } = req.query;
+
+  try {
+    assertTimeZone(tz);
+    res.send(await getPlatformImpact({ months, tz }));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// The caller's own donor dashboard
+impactRouter.get("/me", verifyToken, validate(impactSchema), async (req, res) => {
+  const { months, tz } = req.query;
+
+  try {
+    assertTimeZone(tz);
+    res.send(await getImpactStats({ email: req.user.email, months, tz }));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+export default impactRouter;
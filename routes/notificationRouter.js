@@ -0,0 +1,211 @@
+import express from "express";
+import { notificationCollection } from "../config/dbCollections.js";
+import {
+  notificationEvents,
+  countUnread,
+  markRead,
+} from "../config/notificationService.js";
+import {
+  EMAIL_EVENT_TYPES,
+  getEmailPreferences,
+  updateEmailPreferences,
+  verifyUnsubscribeToken,
+} from "../config/emailPreferences.js";
+import verifyToken from "../middleware/verifyToken.js";
+import { validate } from "../middleware/validate.js";
+import {
+  notificationListSchema,
+  notificationIdSchema,
+  unsubscribeSchema,
+  preferencesSchema,
+} from "../schemas/notificationSchemas.js";
+import { HttpError, sendError } from "../utils/httpError.js";
+import { escapeHtml } from "../utils/search.js";
+import { createPaginator, withCursor } from "../utils/pagination.js";
+
+const notificationRouter = express.Router();
+
+const unsubscribeTarget = (token) => {
+  const target = verifyUnsubscribeToken(token);
+  if (!target) {
+    throw new HttpError(400, "Invalid unsubscribe link");
+  }
+  return target;
+};
+
+const describeTarget = (target) =>
+  target.type === "all" ? "all notification" : `"${target.type}"`;
+
+// The link in every email only asks for confirmation, link scanners and
+// prefetchers follow GET links without anyone clicking them
+notificationRouter.get("/unsubscribe", validate(unsubscribeSchema), (req, res) => {
+  try {
+    const target = unsubscribeTarget(req.query.token);
+    res
+      .type("html")
+      .send(
+        `<p>Stop sending ${escapeHtml(describeTarget(target))} emails to ${escapeHtml(target.email)}?</p>` +
+          `<form method="post" action="?token=${encodeURIComponent(req.query.token)}">` +
+          '<button type="submit">Unsubscribe</button></form>'
+      );
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// One-click unsubscribe, no login needed. Sent by the confirmation page and
+// by mail clients for the List-Unsubscribe-Post header (RFC 8058).
+notificationRouter.post("/unsubscribe", validate(unsubscribeSchema), async (req, res) => {
+  try {
+    const target = unsubscribeTarget(req.query.token);
+
+    const types = target.type === "all" ? EMAIL_EVENT_TYPES : [target.type];
+    const changes = Object.fromEntries(types.map((type) => [type, "off"]));
+    if (!(await updateEmailPreferences(target.email, changes))) {
+      throw new HttpError(404, "User not found");
+    }
+
+    res
+      .type("html")
+      .send(
+        `<p>${escapeHtml(target.email)} will no longer receive ${escapeHtml(describeTarget(target))} emails. ` +
+          "You can turn them back on from your notification preferences.</p>"
+      );
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+notificationRouter.use(verifyToken);
+
+notificationRouter.get("/preferences", async (req, res) => {
+  try {
+    res.send({ email: await getEmailPreferences(req.user.email) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+notificationRouter.put("/preferences", validate(preferencesSchema), async (req, res) => {
+  try {
+    const email = await updateEmailPreferences(req.user.email, req.body);
+    if (!email) {
+      throw new HttpError(404, "User not found");
+    }
+    res.send({ message: "Preferences updated", email });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+const paginateNotifications = createPaginator({
+  sortFields: { createdAt: { field: "_id", order: -1 } },
+  defaultSortBy: "createdAt",
+  defaultLimit: 20,
+});
+
+// Keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+notificationRouter.get("/", validate(notificationListSchema), async (req, res) => {
+  try {
+    const query = { userEmail: req.user.email };
+    if (req.query.unread) query.readAt = null;
+
+    const plan = paginateNotifications(req.query);
+    const [totalItems, unreadCount, docs] = await Promise.all([
+      notificationCollection.countDocuments(query),
+      countUnread(req.user.email),
+      notificationCollection
+        .find(withCursor(query, plan))
+        .sort(plan.sort)
+        .skip(plan.skip)
+        .limit(plan.fetchLimit)
+        .toArray(),
+    ]);
+
+    const { items: notifications, pagination } = plan.finish(docs, totalItems);
+    res.send({ notifications, unreadCount, pagination });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+notificationRouter.get("/unread-count", async (req, res) => {
+  try {
+    res.send({ unreadCount: await countUnread(req.user.email) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+notificationRouter.patch("/read-all", async (req, res) => {
+  try {
+    const updated = await markRead(req.user.email);
+    res.send({ updated, unreadCount: 0 });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+notificationRouter.patch("/:id/read", validate(notificationIdSchema), async (req, res) => {
+  try {
+    const notification = await notificationCollection.findOne({
+      _id: req.params.id,
+      userEmail: req.user.email,
+    });
+    if (!notification) {
+      throw new HttpError(404, "Notification not found");
+    }
+
+    await markRead(req.user.email, [notification._id]);
+    res.send({ unreadCount: await countUnread(req.user.email) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Server-Sent Events: pushes `notification` with each new one and
+// `unread-count` whenever the count changes, starting with the current count
+notificationRouter.get("/stream", async (req, res) => {
+  const { email } = req.user;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const sendUnreadCount = () =>
+    countUnread(email)
+      .then((unreadCount) => send("unread-count", { unreadCount }))
+      .catch((err) => console.error("Failed to count unread notifications:", err));
+
+  const onNotification = (notification) => {
+    if (notification.userEmail !== email) return;
+    send("notification", notification);
+    sendUnreadCount();
+  };
+  const onRead = ({ userEmail }) => {
+    if (userEmail === email) sendUnreadCount();
+  };
+
+  notificationEvents.on("notification", onNotification);
+  notificationEvents.on("read", onRead);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    notificationEvents.off("notification", onNotification);
+    notificationEvents.off("read", onRead);
+  });
+
+  sendUnreadCount();
+});
+
+export default notificationRouter;
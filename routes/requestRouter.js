@@ -0,0 +1,122 @@
+import express from "express";
+import { requestedCollection } from "../config/dbCollections.js";
+import {
+  REQUEST_STATUS,
+  requestMachine,
+  requestRole,
+  transitionRequest,
+} from "../config/requestWorkflow.js";
+import { listMessages, postMessage } from "../config/messageService.js";
+import { loadTransaction } from "../config/transactions.js";
+import { submitReview } from "../config/reviewService.js";
+import verifyToken from "../middleware/verifyToken.js";
+import { validate } from "../middleware/validate.js";
+import { audit, fromResponse } from "../middleware/audit.js";
+import {
+  incomingRequestsSchema,
+  requestIdSchema,
+  requestTransitionSchema,
+} from "../schemas/requestSchemas.js";
+import { messageListSchema, postMessageSchema } from "../schemas/messageSchemas.js";
+import { reviewSchema } from "../schemas/reviewSchemas.js";
+import { HttpError, sendError, toObjectId } from "../utils/httpError.js";
+
+const requestRouter = express.Router();
+
+requestRouter.use(verifyToken);
+
+// Requests made on the caller's listings
+requestRouter.get("/incoming", validate(incomingRequestsSchema), async (req, res) => {
+  const { status } = req.query;
+
+  try {
+    const query = { donorEmail: req.user.email };
+    if (status) {
+      query.status = status;
+    }
+
+    const requests = await requestedCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.send(requests);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+requestRouter.get("/:id", validate(requestIdSchema), async (req, res) => {
+  try {
+    const request = await requestedCollection.findOne({
+      _id: toObjectId(req.params.id),
+    });
+    if (!request) {
+      throw new HttpError(404, "Request not found");
+    }
+
+    const role = requestRole(request, req.user);
+    res.send({
+      ...request,
+      role,
+      allowedTransitions: requestMachine.nextStates(request.status, role),
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+const transitionRoutes = {
+  approve: REQUEST_STATUS.APPROVED,
+  reject: REQUEST_STATUS.REJECTED,
+  cancel: REQUEST_STATUS.CANCELLED,
+  pickup: REQUEST_STATUS.PICKED_UP,
+  "no-show": REQUEST_STATUS.NO_SHOW,
+};
+
+Object.entries(transitionRoutes).forEach(([action, status]) => {
+  requestRouter.patch(`/:id/${action}`, validate(requestTransitionSchema), audit("request"), async (req, res) => {
+    try {
+      const request = await transitionRequest(
+        req.params.id,
+        status,
+        req.user,
+        req.body.reason
+      );
+      res.send({ message: `Request marked as ${status}`, request });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+});
+
+// Messages between the donor and the requester, fetching marks them read
+requestRouter.get("/:id/messages", validate(messageListSchema), async (req, res) => {
+  try {
+    const thread = await loadTransaction("request", req.params.id, req.user);
+    res.send(await listMessages(thread, req.user, req.query));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+requestRouter.post("/:id/messages", validate(postMessageSchema), audit("message", fromResponse("_id")), async (req, res) => {
+  try {
+    const thread = await loadTransaction("request", req.params.id, req.user);
+    res.status(201).send(await postMessage(thread, req.user, req.body.body));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Rate the other party once the food is picked up
+requestRouter.post("/:id/review", validate(reviewSchema), audit("review", fromResponse("_id")), async (req, res) => {
+  try {
+    const transaction = await loadTransaction("request", req.params.id, req.user);
+    const review = await submitReview(transaction, req.user, req.body);
+    res.status(201).send(review);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+export default requestRouter;
@@ -1,25 +1,153 @@
 import express from "express";
-import jwt from "jsonwebtoken";
+import { userCollection } from "../config/dbCollections.js";
+import {
+  signAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+} from "../config/tokenService.js";
+import { hashPassword, verifyPassword } from "../utils/password.js";
+import verifyToken from "../middleware/verifyToken.js";
+import { validate } from "../middleware/validate.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { registerSchema, loginSchema } from "../schemas/authSchemas.js";
 
 const verifyRouter = express.Router();
 
-verifyRouter.post("/jwt", async (req, res) => {
-  const email = req.body;
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
+};
+
+// Refresh cookie is only ever sent back to the auth routes
+const refreshCookieOptions = { ...cookieOptions, path: "/auth" };
+
+const publicUser = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  photoURL: user.photoURL || null,
+  role: user.role || "user",
+  reputation: user.reputation || { average: null, count: 0 },
+});
+
+const sendSession = async (res, user, refresh) => {
+  const { token, expiresAt } =
+    refresh || (await issueRefreshToken(user._id));
+
+  res
+    .cookie("token", signAccessToken(user), cookieOptions)
+    .cookie("refreshToken", token, { ...refreshCookieOptions, expires: expiresAt })
+    .send({ success: true, user: publicUser(user) });
+};
+
+verifyRouter.post("/register", validate(registerSchema), async (req, res) => {
+  const { name, email, password, photoURL } = req.body;
+
   try {
-    const token = jwt.sign(email, process.env.JWT_ACCESS_TOKEN, {
-      expiresIn: "5h",
-    });
-    if (!token) {
-      return res.status(401).send({ message: "Can not generate Token" });
+    const existing = await userCollection.findOne({ email });
+    if (existing) {
+      return res.status(409).send({ message: "An account with this email already exists" });
     }
 
-    res
-      .cookie("token", token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === "production",
-        sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
-      })
-      .send({ success: true });
+    const user = {
+      name,
+      email,
+      photoURL: photoURL || null,
+      role: "user",
+      passwordHash: await hashPassword(password),
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+    const result = await userCollection.insertOne(user);
+
+    res.status(201);
+    await sendSession(res, { ...user, _id: result.insertedId });
+  } catch (error) {
+    console.error("Error registering user:", error);
+    res.status(500).send({ message: "Something went wrong on server side" });
+  }
+});
+
+const login = async (req, res) => {
+  const { email, password } = req.body;
+
+  try {
+    const user = await userCollection.findOne({ email });
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).send({ message: "Invalid email or password" });
+    }
+
+    await sendSession(res, user);
+  } catch (error) {
+    console.error("Error logging in:", error);
+    res.status(500).send({ message: "Something went wrong on server side" });
+  }
+};
+
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// Slows down password guessing on one account. Keyed on the address too, so
+// someone else guessing can't lock the owner out from everywhere.
+// Runs after validate, which normalises the email.
+const accountLoginLimit = rateLimit({
+  name: "login",
+  max: Number(process.env.LOGIN_RATE_LIMIT) || 10,
+  windowMs: LOGIN_WINDOW_MS,
+  key: (req) => `${req.ip}:${req.body.email}`,
+  message: "Too many login attempts, please try again later",
+});
+
+// Looser cap per address against trying many accounts at once
+const addressLoginLimit = rateLimit({
+  name: "login-ip",
+  max: Number(process.env.LOGIN_IP_RATE_LIMIT) || 100,
+  windowMs: LOGIN_WINDOW_MS,
+  key: (req) => req.ip,
+  message: "Too many login attempts, please try again later",
+});
+
+const loginLimits = [validate(loginSchema), addressLoginLimit, accountLoginLimit];
+
+verifyRouter.post("/login", ...loginLimits, login);
+// Kept for older clients, now requires credentials like /login
+verifyRouter.post("/jwt", ...loginLimits, login);
+
+verifyRouter.post("/refresh", async (req, res) => {
+  const token = req.cookies?.refreshToken;
+  if (!token) {
+    return res.status(401).send({ message: "Unauthorized Access" });
+  }
+
+  try {
+    const rotated = await rotateRefreshToken(token);
+    if (!rotated) {
+      return res
+        .clearCookie("refreshToken", refreshCookieOptions)
+        .status(401)
+        .send({ message: "Unauthorized Access" });
+    }
+
+    const user = await userCollection.findOne({ _id: rotated.userId });
+    if (!user) {
+      return res.status(401).send({ message: "Unauthorized Access" });
+    }
+
+    await sendSession(res, user, rotated);
+  } catch (error) {
+    console.error("Error refreshing token:", error);
+    res.status(500).send({ message: "Something went wrong on server side" });
+  }
+});
+
+verifyRouter.get("/me", verifyToken, async (req, res) => {
+  try {
+    const user = await userCollection.findOne({ _id: req.user._id });
+    if (!user) {
+      return res.status(404).send({ message: "User not found" });
+    }
+    res.send(publicUser(user));
   } catch (error) {
     res.status(500).send({ message: "Something went wrong on server side" });
   }
@@ -27,12 +155,14 @@ verifyRouter.post("/jwt", async (req, res) => {
 
 verifyRouter.post("/logout", async (req, res) => {
   try {
+    const token = req.cookies?.refreshToken;
+    if (token) {
+      await revokeRefreshToken(token);
+    }
+
     res
-      .clearCookie("token", {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === "production",
-        sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
-      })
+      .clearCookie("token", cookieOptions)
+      .clearCookie("refreshToken", refreshCookieOptions)
       .send({ success: true });
   } catch (error) {
     res.status(500).send({ message: "Something went wrong on server side" });
@@ -0,0 +1,26 @@
+import { OUTBOX_STATUS } from "../config/mailOutbox.js";
+import { EMAIL_TEMPLATES } from "../config/emailTemplates.js";
+import { pagination } from "./foodSchemas.js";
+
+export const outboxListSchema = {
+  query: {
+    status: { type: "string", enum: Object.values(OUTBOX_STATUS) },
+    type: { type: "string", maxLength: 50 },
+    ...pagination,
+  },
+};
+
+export const outboxIdSchema = {
+  params: {
+    id: { type: "objectId", required: true },
+  },
+};
+
+export const templatePreviewSchema = {
+  params: {
+    name: { type: "string", required: true, enum: Object.keys(EMAIL_TEMPLATES) },
+  },
+  query: {
+    format: { type: "string", enum: ["html", "text", "json"], default: "html" },
+  },
+};
@@ -0,0 +1,13 @@
+import { AUDIT_ENTITY_TYPES } from "../config/auditLog.js";
+import { pagination } from "./foodSchemas.js";
+
+export const auditHistorySchema = {
+  params: {
+    entityType: { type: "string", required: true, enum: AUDIT_ENTITY_TYPES },
+    // An ObjectId, or the storage key for uploads
+    id: { type: "string", required: true, maxLength: 100 },
+  },
+  query: {
+    ...pagination,
+  },
+};
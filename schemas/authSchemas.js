@@ -0,0 +1,15 @@
+export const registerSchema = {
+  body: {
+    name: { type: "string", required: true, maxLength: 100 },
+    email: { type: "email", required: true },
+    password: { type: "string", required: true, minLength: 8, maxLength: 128, trim: false },
+    photoURL: { type: "string", maxLength: 2048 },
+  },
+};
+
+export const loginSchema = {
+  body: {
+    email: { type: "email", required: true },
+    password: { type: "string", required: true, maxLength: 128, trim: false },
+  },
+};
@@ -0,0 +1,179 @@
+import { ORDER_STATUS } from "../config/orderWorkflow.js";
+
+const idParams = {
+  id: { type: "objectId", required: true },
+};
+
+// Shared by every paginated listing, sortBy is checked against each endpoint's whitelist
+export const pagination = {
+  sortBy: { type: "string", maxLength: 30 },
+  sortOrder: { type: "string", enum: ["asc", "desc"] },
+  page: { type: "integer", min: 1, default: 1 },
+  limit: { type: "integer", min: 1, max: 100 },
+  after: { type: "string", maxLength: 512 },
+  before: { type: "string", maxLength: 512 },
+};
+
+// Fields a donor controls on a listing
+const foodFields = {
+  foodName: { type: "string", maxLength: 120 },
+  foodImg: { type: "string", maxLength: 2048 },
+  quantity: { type: "integer", min: 0 },
+  location: { type: "string", maxLength: 200 },
+  exDate: { type: "date" },
+  description: { type: "string", maxLength: 2000 },
+  note: { type: "string", maxLength: 2000 },
+  price: { type: "number", min: 0 },
+  // Pickup point, stored as GeoJSON next to the free-text location
+  lat: { type: "number", min: -90, max: 90 },
+  lng: { type: "number", min: -180, max: 180 },
+};
+
+const includeExpired = { type: "boolean", default: false };
+
+export const allFoodsSchema = {
+  query: {
+    status: { type: "string", maxLength: 30 },
+    includeExpired,
+    search: { type: "string", maxLength: 100 },
+    location: { type: "string", maxLength: 100 },
+    lat: { type: "number", min: -90, max: 90 },
+    lng: { type: "number", min: -180, max: 180 },
+    radiusKm: { type: "number", min: 0.1, max: 500 },
+    ...pagination,
+  },
+};
+
+export const featuredFoodsSchema = {
+  query: { includeExpired },
+};
+
+export const addFoodSchema = {
+  body: {
+    ...foodFields,
+    foodName: { ...foodFields.foodName, required: true },
+    quantity: { type: "integer", min: 1, required: true },
+    location: { ...foodFields.location, required: true },
+    exDate: { ...foodFields.exDate, required: true },
+    price: { ...foodFields.price, default: 0 },
+    userImg: { type: "string", maxLength: 2048 },
+  },
+};
+
+export const foodDetailsSchema = {
+  body: idParams,
+};
+
+export const manageMyFoodsSchema = {
+  body: {
+    email: { type: "email" },
+  },
+  query: {
+    // trash lists removed listings that can still be restored
+    view: { type: "string", enum: ["active", "trash"], default: "active" },
+    ...pagination,
+  },
+};
+
+export const updateFoodSchema = {
+  params: idParams,
+  body: foodFields,
+};
+
+export const foodIdSchema = {
+  params: idParams,
+};
+
+export const requestFoodSchema = {
+  params: idParams,
+  body: {
+    note: { type: "string", maxLength: 1000 },
+    currentDate: { type: "date" },
+    quantity: { type: "integer", min: 1 },
+    slotId: { type: "objectId" },
+  },
+};
+
+export const pickupSlotSchema = {
+  params: idParams,
+  body: {
+    start: { type: "date", required: true },
+    end: { type: "date", required: true },
+    capacity: { type: "integer", min: 1, max: 100, default: 1 },
+  },
+};
+
+export const pickupSlotIdSchema = {
+  params: {
+    ...idParams,
+    slotId: { type: "objectId", required: true },
+  },
+};
+
+export const requestedFoodsSchema = {
+  body: {
+    email: { type: "email" },
+  },
+};
+
+const orderRole = { type: "string", enum: ["owner", "customer"] };
+
+const calendarDay = {
+  type: "string",
+  pattern: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+  patternMessage: "must be formatted as YYYY-MM-DD",
+};
+
+export const orderReportSchema = {
+  query: {
+    email: { type: "email" },
+    month: {
+      type: "string",
+      pattern: /^\d{4}-(0[1-9]|1[0-2])$/,
+      patternMessage: "must be formatted as YYYY-MM",
+    },
+    from: calendarDay,
+    to: calendarDay,
+    tz: { type: "string", maxLength: 64, default: "UTC" },
+    format: { type: "string", enum: ["json", "csv"], default: "json" },
+    role: orderRole,
+    // Pages the orders in the JSON report, the CSV holds all of them
+    ...pagination,
+  },
+};
+
+export const ordersByEmailSchema = {
+  params: {
+    email: { type: "email", required: true },
+  },
+};
+
+export const ordersSchema = {
+  query: {
+    email: { type: "email" },
+    role: orderRole,
+    ...pagination,
+  },
+};
+
+export const orderStatusSchema = {
+  params: idParams,
+  body: {
+    status: {
+      type: "string",
+      required: true,
+      enum: Object.values(ORDER_STATUS),
+    },
+    reason: { type: "string", maxLength: 500 },
+  },
+};
+
+export const placeOrderSchema = {
+  body: {
+    foodId: { type: "objectId", required: true },
+    quantity: { type: "integer", min: 1, required: true },
+    deliveryDate: { type: "date", required: true },
+    address: { type: "string", required: true, maxLength: 300 },
+    description: { type: "string", maxLength: 1000 },
+  },
+};
@@ -0,0 +1,6 @@
+export const impactSchema = {
+  query: {
+    months: { type: "integer", min: 1, max: 36, default: 12 },
+    tz: { type: "string", maxLength: 64, default: "UTC" },
+  },
+};
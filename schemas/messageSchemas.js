@@ -0,0 +1,19 @@
+import { pagination } from "./foodSchemas.js";
+
+const threadParams = {
+  id: { type: "objectId", required: true },
+};
+
+export const messageListSchema = {
+  params: threadParams,
+  query: {
+    ...pagination,
+  },
+};
+
+export const postMessageSchema = {
+  params: threadParams,
+  body: {
+    body: { type: "string", required: true, minLength: 1, maxLength: 2000 },
+  },
+};
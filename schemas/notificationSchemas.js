@@ -0,0 +1,27 @@
+import { EMAIL_EVENT_TYPES, EMAIL_MODES } from "../config/emailPreferences.js";
+import { pagination } from "./foodSchemas.js";
+
+export const notificationListSchema = {
+  query: {
+    unread: { type: "boolean", default: false },
+    ...pagination,
+  },
+};
+
+export const notificationIdSchema = {
+  params: {
+    id: { type: "objectId", required: true },
+  },
+};
+
+export const unsubscribeSchema = {
+  query: {
+    token: { type: "string", required: true, maxLength: 1024 },
+  },
+};
+
+export const preferencesSchema = {
+  body: Object.fromEntries(
+    EMAIL_EVENT_TYPES.map((type) => [type, { type: "string", enum: EMAIL_MODES }])
+  ),
+};
@@ -0,0 +1,20 @@
+import { REQUEST_STATUS } from "../config/requestWorkflow.js";
+
+export const incomingRequestsSchema = {
+  query: {
+    status: { type: "string", enum: Object.values(REQUEST_STATUS) },
+  },
+};
+
+export const requestIdSchema = {
+  params: {
+    id: { type: "objectId", required: true },
+  },
+};
+
+export const requestTransitionSchema = {
+  ...requestIdSchema,
+  body: {
+    reason: { type: "string", maxLength: 500 },
+  },
+};
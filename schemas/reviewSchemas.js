@@ -0,0 +1,9 @@
+export const reviewSchema = {
+  params: {
+    id: { type: "objectId", required: true },
+  },
+  body: {
+    rating: { type: "integer", required: true, min: 1, max: 5 },
+    comment: { type: "string", maxLength: 1000 },
+  },
+};
@@ -0,0 +1,54 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { toCsv, toCsvRow } from "../utils/csv.js";
+
+const columns = [
+  { key: "foodName", label: "Food" },
+  { key: "quantity", label: "Quantity" },
+];
+
+describe("toCsv", () => {
+  it("writes a header row and one line per record with CRLF endings", () => {
+    assert.equal(
+      toCsv([{ foodName: "Rice", quantity: 2, extra: "ignored" }], columns),
+      "Food,Quantity\r\nRice,2"
+    );
+  });
+
+  it("writes only the header when there are no rows", () => {
+    assert.equal(toCsv([], columns), "Food,Quantity");
+  });
+
+  it("quotes cells containing commas, quotes or line breaks", () => {
+    const rows = [{ foodName: 'Rice, "basmati"', quantity: "2\nbags" }];
+    assert.equal(toCsv(rows, columns), 'Food,Quantity\r\n"Rice, ""basmati""","2\nbags"');
+  });
+
+  it("leaves missing values empty and writes dates as ISO strings", () => {
+    const rows = [{ foodName: null, quantity: new Date("2026-10-24T17:00:00Z") }];
+    assert.equal(toCsv(rows, columns), "Food,Quantity\r\n,2026-10-24T17:00:00.000Z");
+  });
+
+  it("defuses text that spreadsheets would run as a formula", () => {
+    const rows = ["=SUM(A1)", "+1", "-1", "@cmd", "\tx"].map((foodName) => ({ foodName }));
+    assert.deepEqual(toCsv(rows, columns).split("\r\n").slice(1), [
+      "'=SUM(A1),",
+      "'+1,",
+      "'-1,",
+      "'@cmd,",
+      "'\tx,",
+    ]);
+  });
+
+  it("leaves negative numbers alone", () => {
+    assert.equal(toCsv([{ quantity: -1 }], columns), "Food,Quantity\r\n,-1");
+  });
+});
+
+describe("toCsvRow", () => {
+  it("renders one record like toCsv does, without a line break", () => {
+    const row = { foodName: "Rice, white", quantity: 2 };
+    assert.equal(toCsvRow(row, columns), '"Rice, white",2');
+    assert.equal(toCsv([row], columns).split("\r\n")[1], toCsvRow(row, columns));
+  });
+});
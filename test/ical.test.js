@@ -0,0 +1,71 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildIcs } from "../utils/ical.js";
+
+const event = {
+  uid: "order-1@bitebuddy",
+  start: new Date("2026-10-24T17:00:00Z"),
+  end: new Date("2026-10-24T17:30:00Z"),
+  summary: "Pick up Rice",
+};
+
+// Undo line folding so properties can be read back whole
+const unfold = (ics) => ics.replace(/\r\n /g, "");
+
+const property = (ics, name) =>
+  unfold(ics)
+    .split("\r\n")
+    .find((line) => line.startsWith(`${name}:`))
+    ?.slice(name.length + 1);
+
+describe("buildIcs", () => {
+  it("writes one published event with UTC times and CRLF line endings", () => {
+    const ics = buildIcs(event);
+    assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n"));
+    assert.ok(ics.endsWith("END:VEVENT\r\nEND:VCALENDAR\r\n"));
+    assert.equal(ics.replace(/\r\n/g, "").includes("\n"), false);
+
+    assert.equal(property(ics, "METHOD"), "PUBLISH");
+    assert.equal(property(ics, "STATUS"), "CONFIRMED");
+    assert.equal(property(ics, "UID"), "order-1@bitebuddy");
+    assert.equal(property(ics, "DTSTART"), "20261024T170000Z");
+    assert.equal(property(ics, "DTEND"), "20261024T173000Z");
+    assert.match(property(ics, "DTSTAMP"), /^\d{8}T\d{6}Z$/);
+    assert.equal(property(ics, "SEQUENCE"), "0");
+  });
+
+  it("sends cancellations for the same uid with a higher sequence", () => {
+    const ics = buildIcs({ ...event, sequence: 2, cancelled: true });
+    assert.equal(property(ics, "METHOD"), "CANCEL");
+    assert.equal(property(ics, "STATUS"), "CANCELLED");
+    assert.equal(property(ics, "UID"), "order-1@bitebuddy");
+    assert.equal(property(ics, "SEQUENCE"), "2");
+  });
+
+  it("leaves out empty optional fields", () => {
+    const ics = buildIcs(event);
+    assert.equal(property(ics, "DESCRIPTION"), undefined);
+    assert.equal(property(ics, "LOCATION"), undefined);
+  });
+
+  it("escapes backslashes, separators and newlines in text", () => {
+    const ics = buildIcs({
+      ...event,
+      description: "Bring a bag; ring twice\nGate C:\\2",
+      location: "12 Road, Dhaka",
+    });
+    assert.equal(property(ics, "DESCRIPTION"), "Bring a bag\\; ring twice\\nGate C:\\\\2");
+    assert.equal(property(ics, "LOCATION"), "12 Road\\, Dhaka");
+  });
+
+  it("folds lines longer than 75 octets without splitting characters", () => {
+    const description = "Pickup at the café near the mosque — ".repeat(6);
+    const ics = buildIcs({ ...event, description });
+
+    for (const line of ics.split("\r\n")) {
+      assert.ok(Buffer.byteLength(line) <= 75, `${line} is too long`);
+    }
+    assert.ok(ics.includes("\r\n "));
+    assert.equal(property(ics, "DESCRIPTION"), description);
+  });
+});
@@ -0,0 +1,208 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { createPaginator, withCursor } from "../utils/pagination.js";
+import { HttpError } from "../utils/httpError.js";
+
+// Just enough of Mongo's matching and sorting to run the seek filters:
+// null and missing sort first, $gt/$lt never match null
+const compare = (a, b) => {
+  if (a == null || b == null) return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  if (a instanceof ObjectId) return a.toHexString().localeCompare(b.toHexString());
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((part) => matches(doc, part));
+    if (key === "$and") return condition.every((part) => matches(doc, part));
+    const value = doc[key];
+    if (condition === null) return value == null;
+    if (condition instanceof ObjectId || condition instanceof Date || typeof condition !== "object") {
+      return value != null && compare(value, condition) === 0;
+    }
+    return Object.entries(condition).every(([op, operand]) => {
+      if (op === "$ne") return operand === null ? value != null : compare(value, operand) !== 0;
+      if (value == null) return false;
+      if (op === "$gt") return compare(value, operand) > 0;
+      if (op === "$lt") return compare(value, operand) < 0;
+      throw new Error(`Unsupported operator ${op}`);
+    });
+  });
+
+const find = (docs, plan) =>
+  docs
+    .filter((doc) => matches(doc, withCursor({}, plan)))
+    .sort((a, b) => {
+      for (const [field, direction] of Object.entries(plan.sort)) {
+        const order = compare(a[field], b[field]) * direction;
+        if (order) return order;
+      }
+      return 0;
+    })
+    .slice(plan.skip, plan.skip + plan.fetchLimit);
+
+const paginate = createPaginator({
+  sortFields: {
+    newest: { field: "_id", order: -1 },
+    price: { field: "price", order: 1 },
+    exDate: { field: "exDate", order: 1, cursor: false },
+  },
+  defaultSortBy: "newest",
+  defaultLimit: 2,
+});
+
+const docs = [5, null, 3, 5, undefined, 1, null, 3].map((price) => ({
+  _id: new ObjectId(),
+  ...(price !== undefined && { price }),
+}));
+
+// Follow nextCursor (or prevCursor) until the end, returns every page and
+// the pagination of the last one
+const walk = (query, cursorParam, cursorField) => {
+  const pages = [];
+  let next = { ...query };
+  for (let i = 0; i < docs.length + 1; i += 1) {
+    const plan = paginate(next);
+    const { items, pagination } = plan.finish(find(docs, plan), docs.length);
+    pages.push(items);
+    if (!pagination[cursorField]) return { pages, pagination };
+    next = { ...query, [cursorParam]: pagination[cursorField] };
+  }
+  throw new Error("Paging did not stop");
+};
+
+const expectValidationError = (fn, field, message) =>
+  assert.throws(fn, (err) => {
+    assert.ok(err instanceof HttpError);
+    assert.equal(err.status, 400);
+    assert.deepEqual(err.details.errors, [{ field, message }]);
+    return true;
+  });
+
+describe("createPaginator", () => {
+  describe("page mode", () => {
+    it("skips whole pages and reports the totals", () => {
+      const plan = paginate({ page: 2 });
+      assert.equal(plan.mode, "page");
+      assert.deepEqual(plan.sort, { _id: -1 });
+      assert.equal(plan.skip, 2);
+      assert.equal(plan.fetchLimit, 2);
+      assert.equal(plan.cursorFilter, null);
+
+      const { pagination } = plan.finish(docs.slice(2, 4), 5);
+      assert.equal(pagination.currentPage, 2);
+      assert.equal(pagination.totalPages, 3);
+      assert.equal(pagination.hasNextPage, true);
+      assert.equal(pagination.hasPrevPage, true);
+      assert.equal(typeof pagination.nextCursor, "string");
+    });
+
+    it("breaks ties on _id in the same direction", () => {
+      assert.deepEqual(paginate({ sortBy: "price", sortOrder: "desc" }).sort, {
+        price: -1,
+        _id: -1,
+      });
+    });
+
+    it("has no next cursor on the last page", () => {
+      const { pagination } = paginate({ page: 3 }).finish(docs.slice(4, 5), 5);
+      assert.equal(pagination.hasNextPage, false);
+      assert.equal(pagination.nextCursor, null);
+    });
+
+    it("rejects sort names outside the whitelist", () => {
+      expectValidationError(
+        () => paginate({ sortBy: "price" }, { allow: ["newest"] }),
+        "query.sortBy",
+        "must be one of newest"
+      );
+    });
+  });
+
+  describe("cursor mode", () => {
+    for (const sortBy of ["newest", "price"]) {
+      for (const sortOrder of ["asc", "desc"]) {
+        it(`walks every document once sorted by ${sortBy} ${sortOrder}`, () => {
+          const query = { sortBy, sortOrder, limit: 3 };
+          const expected = find(docs, { ...paginate(query), fetchLimit: docs.length });
+
+          const forward = walk(query, "after", "nextCursor");
+          assert.deepEqual(forward.pages.flat(), expected);
+
+          // Back from the first item of the last page
+          const before = forward.pagination.prevCursor;
+          const backward = walk({ ...query, before }, "before", "prevCursor");
+          assert.deepEqual(
+            [...backward.pages.reverse().flat(), ...forward.pages.at(-1)],
+            expected
+          );
+        });
+      }
+    }
+
+    it("fetches one extra document to tell whether there is more", () => {
+      const { pagination } = paginate({ page: 1 }).finish(docs.slice(0, 2), docs.length);
+      const plan = paginate({ after: pagination.nextCursor });
+      assert.equal(plan.mode, "cursor");
+      assert.equal(plan.skip, 0);
+      assert.equal(plan.fetchLimit, 3);
+
+      const end = plan.finish(docs.slice(0, 2), docs.length).pagination;
+      assert.equal(end.hasNextPage, false);
+      assert.equal(end.nextCursor, null);
+      assert.equal(end.hasPrevPage, true);
+    });
+
+    it("rejects a cursor made for another sort", () => {
+      const { pagination } = paginate({ page: 1 }).finish(docs.slice(0, 2), docs.length);
+      expectValidationError(
+        () => paginate({ sortBy: "price", after: pagination.nextCursor }),
+        "query.after",
+        "is not a valid cursor for this sort order"
+      );
+    });
+
+    it("rejects a malformed cursor", () => {
+      expectValidationError(
+        () => paginate({ before: "not-a-cursor" }),
+        "query.before",
+        "is not a valid cursor for this sort order"
+      );
+    });
+  });
+
+  describe("sorts without cursor support", () => {
+    it("only pages by number", () => {
+      const plan = paginate({ sortBy: "exDate" });
+      const { pagination } = plan.finish([{ _id: new ObjectId() }], 5);
+      assert.equal(pagination.hasNextPage, true);
+      assert.equal(pagination.nextCursor, null);
+    });
+
+    it("rejects after and before", () => {
+      for (const param of ["after", "before"]) {
+        expectValidationError(
+          () => paginate({ sortBy: "exDate", [param]: "anything" }),
+          `query.${param}`,
+          "is not supported when sorting by exDate, use page instead"
+        );
+      }
+    });
+  });
+});
+
+describe("withCursor", () => {
+  it("leaves the query alone in page mode", () => {
+    const query = { status: "Available" };
+    assert.equal(withCursor(query, paginate({})), query);
+  });
+
+  it("ANDs the seek filter into the query in cursor mode", () => {
+    const { pagination } = paginate({}).finish(docs.slice(0, 2), docs.length);
+    const plan = paginate({ after: pagination.nextCursor });
+    assert.deepEqual(withCursor({ status: "Available" }, plan), {
+      $and: [{ status: "Available" }, plan.cursorFilter],
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createTemplateEngine, htmlToText } from "../utils/templateEngine.js";
+
+const engineWith = (templates, options) =>
+  createTemplateEngine({
+    load: (name) => {
+      if (!(name in templates)) throw new Error(`No template ${name}`);
+      return templates[name];
+    },
+    ...options,
+  });
+
+const { renderString } = engineWith({});
+
+describe("createTemplateEngine", () => {
+  describe("values", () => {
+    it("escapes HTML unless triple braces are used", () => {
+      const data = { name: `<b>"Tom" & 'Jerry'</b>` };
+      assert.equal(
+        renderString("{{name}}", data),
+        "&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;"
+      );
+      assert.equal(renderString("{{{name}}}", data), data.name);
+    });
+
+    it("resolves dotted paths and prints nothing for missing values", () => {
+      const data = { order: { foodName: "Rice", quantity: 0 } };
+      assert.equal(renderString("{{order.foodName}} x{{ order.quantity }}", data), "Rice x0");
+      assert.equal(renderString("[{{order.missing.deep}}][{{nothing}}]", data), "[][]");
+    });
+
+    it("takes a custom escape function", () => {
+      assert.equal(renderString("{{name}}", { name: "<a>" }, { escape: String }), "<a>");
+    });
+  });
+
+  describe("blocks", () => {
+    it("renders if, else and unless", () => {
+      const template = "{{#if note}}Note: {{note}}{{else}}No note{{/if}}";
+      assert.equal(renderString(template, { note: "Ring twice" }), "Note: Ring twice");
+      assert.equal(renderString(template, { note: "" }), "No note");
+      assert.equal(renderString("{{#unless paid}}Unpaid{{/unless}}", { paid: false }), "Unpaid");
+    });
+
+    it("treats empty lists as false", () => {
+      assert.equal(renderString("{{#if items}}some{{else}}none{{/if}}", { items: [] }), "none");
+    });
+
+    it("loops with each, looking up item fields first", () => {
+      const template = "{{#each items}}{{name}} of {{owner}};{{/each}}";
+      const data = { owner: "Ana", items: [{ name: "Rice" }, { name: "Dal", owner: "Bo" }] };
+      assert.equal(renderString(template, data), "Rice of Ana;Dal of Bo;");
+    });
+
+    it("prints each item with this and falls back to else", () => {
+      const template = "{{#each tags}}<{{this}}>{{else}}untagged{{/each}}";
+      assert.equal(renderString(template, { tags: ["a&b", "c"] }), "<a&amp;b><c>");
+      assert.equal(renderString(template, { tags: [] }), "untagged");
+    });
+
+    it("rejects unknown, unclosed and mismatched blocks", () => {
+      assert.throws(() => renderString("{{#with user}}{{/with}}", {}), /unknown block/);
+      assert.throws(() => renderString("{{#if a}}open", {}), /unclosed "\{\{#if\}\}"/);
+      assert.throws(() => renderString("{{#if a}}{{/each}}", {}), /unexpected "\{\{\/each\}\}"/);
+    });
+  });
+
+  describe("partials", () => {
+    it("renders partials with literal and path arguments", () => {
+      const { render } = engineWith({
+        email: '{{> button label="Open" href=link}} for {{name}}',
+        button: '<a href="{{href}}">{{label}}</a> {{name}}',
+      });
+      assert.equal(
+        render("email", { name: "Ana", link: "https://x.test/?a=1&b=2" }),
+        '<a href="https://x.test/?a=1&amp;b=2">Open</a> Ana for Ana'
+      );
+    });
+
+    it("caches compiled templates unless told not to", () => {
+      const templates = { greeting: "Hi {{name}}" };
+      const cached = engineWith(templates);
+      const fresh = engineWith(templates, { cache: false });
+      assert.equal(cached.render("greeting", { name: "Ana" }), "Hi Ana");
+      assert.equal(fresh.render("greeting", { name: "Ana" }), "Hi Ana");
+
+      templates.greeting = "Hello {{name}}";
+      assert.equal(cached.render("greeting", { name: "Ana" }), "Hi Ana");
+      assert.equal(fresh.render("greeting", { name: "Ana" }), "Hello Ana");
+    });
+  });
+});
+
+describe("htmlToText", () => {
+  it("keeps the text and structure of rendered email HTML", () => {
+    const html = `
+      <html>
+        <head><style>p { color: red; }</style></head>
+        <body>
+          <h1>Order   confirmed</h1>
+          <p>Pick up <b>Rice</b> &amp; Dal<br>before 5pm</p>
+          <ul>
+            <li>2 x Rice</li>
+            <li>1 x Dal</li>
+          </ul>
+          <p><a href="https://x.test/orders/1">View order</a></p>
+          <p><a href="https://x.test/">https://x.test/</a></p>
+        </body>
+      </html>`;
+
+    assert.equal(
+      htmlToText(html),
+      [
+        "Order confirmed",
+        "",
+        "Pick up Rice & Dal",
+        "before 5pm",
+        "",
+        "- 2 x Rice",
+        "- 1 x Dal",
+        "View order (https://x.test/orders/1)",
+        "",
+        "https://x.test/",
+      ].join("\n")
+    );
+  });
+
+  it("decodes the entities escapeHtml produces", () => {
+    assert.equal(htmlToText("&lt;&quot;it&#39;s&quot;&gt;&nbsp;ok"), `<"it's"> ok`);
+  });
+});
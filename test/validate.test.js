@@ -0,0 +1,188 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { validate, validateObject } from "../middleware/validate.js";
+
+const check = (rules, raw) => validateObject({ field: raw }, { field: rules }, "query");
+
+const coerced = (rules, raw) => {
+  const { value, errors } = check(rules, raw);
+  assert.deepEqual(errors, []);
+  return value.field;
+};
+
+const rejected = (rules, raw) => {
+  const { value, errors } = check(rules, raw);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].field, "query.field");
+  assert.equal("field" in value, false);
+  return errors[0].message;
+};
+
+describe("validateObject", () => {
+  describe("coercion", () => {
+    it("trims strings", () => {
+      assert.equal(coerced({ type: "string" }, "  rice  "), "rice");
+      assert.equal(rejected({ type: "string" }, 5), "must be a string");
+    });
+
+    it("keeps surrounding spaces when trim is off", () => {
+      assert.equal(coerced({ type: "string", trim: false }, "  secret  "), "  secret  ");
+    });
+
+    it("lowercases emails and rejects malformed ones", () => {
+      assert.equal(coerced({ type: "email" }, " Donor@Example.COM "), "donor@example.com");
+      assert.equal(rejected({ type: "email" }, "donor@example"), "must be a valid email address");
+    });
+
+    it("parses numbers from query strings", () => {
+      assert.equal(coerced({ type: "number" }, "2.5"), 2.5);
+      assert.equal(coerced({ type: "number" }, 0), 0);
+      assert.equal(rejected({ type: "number" }, "abc"), "must be a number");
+      assert.equal(rejected({ type: "number" }, "Infinity"), "must be a number");
+      assert.equal(rejected({ type: "number" }, true), "must be a number");
+      assert.equal(rejected({ type: "number" }, "  "), "must be a number");
+      assert.equal(rejected({ type: "integer" }, " "), "must be a number");
+    });
+
+    it("requires whole numbers for integers", () => {
+      assert.equal(coerced({ type: "integer" }, "3"), 3);
+      assert.equal(rejected({ type: "integer" }, "3.5"), "must be a whole number");
+    });
+
+    it("accepts true/false and 1/0 as booleans", () => {
+      assert.equal(coerced({ type: "boolean" }, "true"), true);
+      assert.equal(coerced({ type: "boolean" }, "1"), true);
+      assert.equal(coerced({ type: "boolean" }, "0"), false);
+      assert.equal(coerced({ type: "boolean" }, false), false);
+      assert.equal(rejected({ type: "boolean" }, "yes"), "must be true or false");
+    });
+
+    it("parses dates", () => {
+      const date = coerced({ type: "date" }, "2026-10-24T17:00:00Z");
+      assert.ok(date instanceof Date);
+      assert.equal(date.toISOString(), "2026-10-24T17:00:00.000Z");
+      assert.equal(rejected({ type: "date" }, "tomorrow"), "must be a valid date");
+      assert.equal(rejected({ type: "date" }, true), "must be a valid date");
+    });
+
+    it("turns valid ids into ObjectIds", () => {
+      const id = new ObjectId().toHexString();
+      const value = coerced({ type: "objectId" }, id);
+      assert.ok(value instanceof ObjectId);
+      assert.equal(value.toHexString(), id);
+      assert.equal(rejected({ type: "objectId" }, "123"), "must be a valid id");
+    });
+  });
+
+  describe("rules", () => {
+    it("checks enums after coercion", () => {
+      const rules = { type: "string", enum: ["asc", "desc"] };
+      assert.equal(coerced(rules, " asc "), "asc");
+      assert.equal(rejected(rules, "up"), "must be one of asc, desc");
+    });
+
+    it("checks string lengths", () => {
+      const rules = { type: "string", minLength: 2, maxLength: 4 };
+      assert.equal(rejected(rules, "a"), "must be at least 2 characters");
+      assert.equal(rejected(rules, "abcde"), "must be at most 4 characters");
+    });
+
+    it("checks number bounds", () => {
+      const rules = { type: "integer", min: 1, max: 100 };
+      assert.equal(rejected(rules, "0"), "must be at least 1");
+      assert.equal(rejected(rules, "101"), "must be at most 100");
+    });
+
+    it("uses the pattern message when given", () => {
+      const rules = { type: "string", pattern: /^\d{4}-\d{2}$/, patternMessage: "must be YYYY-MM" };
+      assert.equal(coerced(rules, "2026-10"), "2026-10");
+      assert.equal(rejected(rules, "Oct 2026"), "must be YYYY-MM");
+    });
+  });
+
+  describe("missing values", () => {
+    it("treats empty strings and null as missing", () => {
+      for (const raw of [undefined, null, ""]) {
+        assert.equal(rejected({ type: "string", required: true }, raw), "is required");
+        assert.equal(coerced({ type: "integer", default: 1 }, raw), 1);
+      }
+    });
+
+    it("leaves optional fields without a default out", () => {
+      assert.deepEqual(check({ type: "string" }, undefined), { value: {}, errors: [] });
+    });
+  });
+
+  it("drops fields missing from the schema and reports every invalid one", () => {
+    const { value, errors } = validateObject(
+      { page: "2", limit: "x", role: "admin" },
+      { page: { type: "integer" }, limit: { type: "integer" }, sortBy: { type: "string", required: true } },
+      "query"
+    );
+    assert.deepEqual(value, { page: 2 });
+    assert.deepEqual(errors, [
+      { field: "query.limit", message: "must be a number" },
+      { field: "query.sortBy", message: "is required" },
+    ]);
+  });
+
+  it("treats a non-object input as empty", () => {
+    const { errors } = validateObject("text", { name: { type: "string", required: true } }, "body");
+    assert.deepEqual(errors, [{ field: "body.name", message: "is required" }]);
+  });
+});
+
+describe("validate", () => {
+  const run = (schemas, req) => {
+    let status;
+    let sent;
+    let nextCalled = false;
+    const res = {
+      status(code) {
+        status = code;
+        return this;
+      },
+      send(body) {
+        sent = body;
+        return this;
+      },
+    };
+    validate(schemas)(req, res, () => {
+      nextCalled = true;
+    });
+    return { status, sent, nextCalled };
+  };
+
+  it("replaces each validated part of the request", () => {
+    const req = { params: { id: "x" }, body: { note: " hi " } };
+    // Express 5 only has a getter for req.query
+    Object.defineProperty(req, "query", { get: () => ({ page: "2", extra: "1" }), configurable: true });
+
+    const { nextCalled } = run(
+      { query: { page: { type: "integer" } }, body: { note: { type: "string" } } },
+      req
+    );
+    assert.equal(nextCalled, true);
+    assert.deepEqual(req.query, { page: 2 });
+    assert.deepEqual(req.body, { note: "hi" });
+    assert.deepEqual(req.params, { id: "x" });
+  });
+
+  it("responds 400 with every invalid field", () => {
+    const req = { params: { id: "bad" }, query: {}, body: {} };
+    const { status, sent, nextCalled } = run(
+      { params: { id: { type: "objectId" } }, body: { quantity: { type: "integer", required: true } } },
+      req
+    );
+    assert.equal(nextCalled, false);
+    assert.equal(status, 400);
+    assert.deepEqual(sent, {
+      message: "Validation failed",
+      errors: [
+        { field: "params.id", message: "must be a valid id" },
+        { field: "body.quantity", message: "is required" },
+      ],
+    });
+  });
+});
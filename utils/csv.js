@@ -0,0 +1,32 @@
+// Leading characters spreadsheet apps would treat as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render one record as a CSV line, without the line break
+ * @param {Object} row - Record to render
+ * @param {Array<{key: string, label: string}>} columns - Column order
+ * @returns {string}
+ */
+export const toCsvRow = (row, columns) =>
+  columns.map((column) => escapeCell(row[column.key])).join(",");
+
+/**
+ * Render rows as CSV
+ * @param {Object[]} rows - Records to render
+ * @param {Array<{key: string, label: string}>} columns - Column order and headers
+ * @returns {string}
+ */
+export const toCsv = (rows, columns) =>
+  [
+    columns.map((column) => escapeCell(column.label)).join(","),
+    ...rows.map((row) => toCsvRow(row, columns)),
+  ].join("\r\n");
@@ -0,0 +1,60 @@
+import { HttpError } from "./httpError.js";
+
+export const EARTH_RADIUS_KM = 6378.1;
+
+/**
+ * Build a GeoJSON point from separate coordinates
+ * @param {number} [lat] - Latitude
+ * @param {number} [lng] - Longitude
+ * @param {string} [location] - Where the values came from, used in error paths
+ * @returns {{type: "Point", coordinates: [number, number]} | null}
+ *   null when neither coordinate was given
+ */
+export const toGeoPoint = (lat, lng, location = "body") => {
+  if (lat === undefined && lng === undefined) {
+    return null;
+  }
+  if (lat === undefined || lng === undefined) {
+    const missing = lat === undefined ? "lat" : "lng";
+    throw new HttpError(400, "Validation failed", {
+      errors: [
+        { field: `${location}.${missing}`, message: "is required when the other coordinate is given" },
+      ],
+    });
+  }
+  // GeoJSON orders coordinates longitude first
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+const toRadians = (expr) => ({ $degreesToRadians: expr });
+
+/**
+ * Aggregation expression for the great-circle distance in km between a
+ * document's `geo` point and the given coordinates (haversine formula).
+ * Used where $geoNear cannot be, e.g. together with a $text match.
+ * @param {[number, number]} coordinates - `[lng, lat]` of the origin
+ * @returns {Object} Aggregation expression
+ */
+export const distanceKmExpr = ([lng, lat]) => {
+  const docLng = toRadians({ $arrayElemAt: ["$geo.coordinates", 0] });
+  const docLat = toRadians({ $arrayElemAt: ["$geo.coordinates", 1] });
+  const originLat = (lat * Math.PI) / 180;
+  const originLng = (lng * Math.PI) / 180;
+
+  const halfDeltaLat = { $divide: [{ $subtract: [docLat, originLat] }, 2] };
+  const halfDeltaLng = { $divide: [{ $subtract: [docLng, originLng] }, 2] };
+  const a = {
+    $add: [
+      { $pow: [{ $sin: halfDeltaLat }, 2] },
+      {
+        $multiply: [
+          Math.cos(originLat),
+          { $cos: docLat },
+          { $pow: [{ $sin: halfDeltaLng }, 2] },
+        ],
+      },
+    ],
+  };
+
+  return { $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: a } }] };
+};
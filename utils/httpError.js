@@ -0,0 +1,57 @@
+import { ObjectId } from "mongodb";
+
+/**
+ * Error carrying the HTTP status and message that should reach the client
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Message sent as `{ message }`
+   * @param {Object} [details] - Extra fields merged into the response body
+   */
+  constructor(status, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Send an error in the `{ message }` shape every route uses.
+ * Anything that is not an HttpError is logged and reported as a 500.
+ * @param {Object} res - Express response
+ * @param {Error} err - Caught error
+ * @param {string} [fallback] - Message for unexpected errors
+ */
+export const sendError = (res, err, fallback = "Server Side Error") => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).send({ message: err.message, ...err.details });
+  }
+  console.error(err);
+  return res.status(500).send({ message: fallback });
+};
+
+/**
+ * Parse a route id, rejecting malformed ones with a 400 instead of letting
+ * the ObjectId constructor throw
+ * @param {string} id - Hex string from the request
+ * @returns {ObjectId}
+ */
+export const toObjectId = (id) => {
+  if (!ObjectId.isValid(id)) {
+    throw new HttpError(400, "Invalid id");
+  }
+  return new ObjectId(id);
+};
+
+/**
+ * Reject with 403 when a client-supplied email names someone other than the caller
+ * @param {Object} user - `req.user`
+ * @param {string} [email] - Email taken from the body, query or params
+ */
+export const assertSelf = (user, email) => {
+  if (email && email.toLowerCase() !== user.email) {
+    throw new HttpError(403, "Forbidden Access");
+  }
+};
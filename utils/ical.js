@@ -0,0 +1,80 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for single events, enough for mail
+ * clients to offer "add to calendar" on a pickup.
+ */
+
+// 20261024T170000Z
+const formatUtc = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+/**
+ * Build a calendar with one event
+ * @param {Object} event
+ * @param {string} event.uid - Stable id, reused to update or cancel the same event
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary - Title
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {number} [event.sequence=0] - Bump when sending a change to the same uid
+ * @param {boolean} [event.cancelled=false] - Send as a cancellation
+ * @returns {string} .ics file content
+ */
+export const buildIcs = ({
+  uid,
+  start,
+  end,
+  summary,
+  description,
+  location,
+  sequence = 0,
+  cancelled = false,
+}) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//BiteBuddy//Food Sharing Platform//EN",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${cancelled ? "CANCEL" : "PUBLISH"}`,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SEQUENCE:${sequence}`,
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ]
+    .filter(Boolean)
+    .map(foldLine)
+    .join("\r\n") + "\r\n";
@@ -0,0 +1,189 @@
+import { ObjectId } from "mongodb";
+import { HttpError } from "./httpError.js";
+
+const invalid = (field, message) =>
+  new HttpError(400, "Validation failed", {
+    errors: [{ field: `query.${field}`, message }],
+  });
+
+// Cursor values keep their BSON type so comparisons match what is stored
+const encodeValue = (value) => {
+  if (value instanceof ObjectId) return { t: "oid", v: value.toHexString() };
+  if (value instanceof Date) return { t: "date", v: value.toISOString() };
+  return { v: value ?? null };
+};
+
+const decodeValue = ({ t, v }) => {
+  if (t === "oid") return new ObjectId(v);
+  if (t === "date") return new Date(v);
+  return v;
+};
+
+const encodeCursor = (doc, field) =>
+  Buffer.from(
+    JSON.stringify({
+      s: field,
+      v: encodeValue(doc[field]),
+      id: doc._id.toHexString(),
+    })
+  ).toString("base64url");
+
+const decodeCursor = (cursor, param, field) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (parsed.s !== field || !ObjectId.isValid(parsed.id)) throw new Error();
+    return { value: decodeValue(parsed.v), id: new ObjectId(parsed.id) };
+  } catch {
+    throw invalid(param, "is not a valid cursor for this sort order");
+  }
+};
+
+/**
+ * Filter for documents strictly after `position` when walking in `direction`,
+ * using `_id` to break ties between equal sort values.
+ * Missing and null values sort before everything else, and `$gt`/`$lt`
+ * never match them, so they are handled on their own.
+ */
+const seekFilter = (field, direction, { value, id }) => {
+  const op = direction === 1 ? "$gt" : "$lt";
+  if (field === "_id") {
+    return { _id: { [op]: id } };
+  }
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: { $ne: null } }, { [field]: null, _id: { $gt: id } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      ...(direction === 1 ? [] : [{ [field]: null }]),
+      { [field]: value, _id: { [op]: id } },
+    ],
+  };
+};
+
+/**
+ * Build a paginator for one endpoint. Only whitelisted sort names are
+ * accepted, every sort ends with `_id` so the order is stable, and clients
+ * can page either by number (`page`) or with the opaque `after`/`before`
+ * cursors returned in the previous response.
+ *
+ * @param {Object} options
+ * @param {Object} options.sortFields - `{ sortByName: { field, order, cursor } }`, order is the
+ *   default direction. Set `cursor: false` on fields whose values mix BSON types (e.g. legacy
+ *   string dates next to Dates): Mongo only compares values of one type, so seeking would
+ *   skip documents. Those sorts can only be paged by number.
+ * @param {string} options.defaultSortBy - Name used when `sortBy` is omitted
+ * @param {number} options.defaultLimit - Page size when `limit` is omitted
+ * @returns {Function} `(query, overrides?) => plan`, see below
+ */
+export const createPaginator =
+  ({ sortFields, defaultSortBy, defaultLimit }) =>
+  /**
+   * @param {Object} query - Validated `req.query` (sortBy, sortOrder, page, limit, after, before)
+   * @param {Object} [overrides]
+   * @param {string[]} [overrides.allow] - Subset of sort names usable for this call
+   * @param {string} [overrides.defaultSortBy] - Default for this call
+   * @returns {Object} plan with `sort`, `skip`, `fetchLimit`, `cursorFilter`
+   *   and `finish(docs, totalItems)` returning `{ items, pagination }`
+   */
+  (query, overrides = {}) => {
+    const allowed = overrides.allow || Object.keys(sortFields);
+    const sortBy = query.sortBy || overrides.defaultSortBy || defaultSortBy;
+    if (!allowed.includes(sortBy)) {
+      throw invalid("sortBy", `must be one of ${allowed.join(", ")}`);
+    }
+
+    const { field, order, cursor = true } = sortFields[sortBy];
+    let direction = order;
+    if (query.sortOrder) direction = query.sortOrder === "asc" ? 1 : -1;
+
+    const limit = query.limit || defaultLimit;
+    const cursorParam = query.after ? "after" : query.before ? "before" : null;
+
+    if (!cursorParam) {
+      const page = query.page || 1;
+      const sort = { [field]: direction, ...(field !== "_id" && { _id: direction }) };
+
+      return {
+        mode: "page",
+        sort,
+        skip: (page - 1) * limit,
+        fetchLimit: limit,
+        cursorFilter: null,
+        finish: (docs, totalItems) => {
+          const hasNextPage = page * limit < totalItems;
+          return {
+            items: docs,
+            pagination: {
+              mode: "page",
+              currentPage: page,
+              totalPages: Math.ceil(totalItems / limit),
+              totalItems,
+              itemsPerPage: limit,
+              hasNextPage,
+              hasPrevPage: page > 1,
+              // Lets clients switch to cursor paging from any page
+              nextCursor:
+                cursor && hasNextPage && docs.length
+                  ? encodeCursor(docs[docs.length - 1], field)
+                  : null,
+            },
+          };
+        },
+      };
+    }
+
+    if (!cursor) {
+      throw invalid(cursorParam, `is not supported when sorting by ${sortBy}, use page instead`);
+    }
+
+    // `before` walks backwards, so query in reverse and flip the results
+    const position = decodeCursor(query[cursorParam], cursorParam, field);
+    const walk = cursorParam === "after" ? direction : -direction;
+    const sort = { [field]: walk, ...(field !== "_id" && { _id: walk }) };
+
+    return {
+      mode: "cursor",
+      sort,
+      skip: 0,
+      // One extra document tells whether there is more beyond this page
+      fetchLimit: limit + 1,
+      cursorFilter: seekFilter(field, walk, position),
+      finish: (docs, totalItems) => {
+        const hasMore = docs.length > limit;
+        const items = docs.slice(0, limit);
+        if (cursorParam === "before") items.reverse();
+
+        const hasNextPage = cursorParam === "after" ? hasMore : true;
+        const hasPrevPage = cursorParam === "before" ? hasMore : true;
+
+        return {
+          items,
+          pagination: {
+            mode: "cursor",
+            totalItems,
+            itemsPerPage: limit,
+            hasNextPage,
+            hasPrevPage,
+            nextCursor:
+              hasNextPage && items.length
+                ? encodeCursor(items[items.length - 1], field)
+                : null,
+            prevCursor:
+              hasPrevPage && items.length ? encodeCursor(items[0], field) : null,
+          },
+        };
+      },
+    };
+  };
+
+/**
+ * AND a plan's cursor filter into a query
+ * @param {Object} query - Base filter
+ * @param {Object} plan - From a paginator
+ * @returns {Object}
+ */
+export const withCursor = (query, plan) =>
+  plan.cursorFilter ? { $and: [query, plan.cursorFilter] } : query;
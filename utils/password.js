@@ -0,0 +1,33 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a random per-user salt.
+ * The result is stored as `scrypt$<salt>$<hash>` so the salt travels with it.
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Encoded hash
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const derived = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${derived.toString("hex")}`;
+};
+
+/**
+ * Compare a plain password against a stored hash in constant time
+ * @param {string} password - Plain text password
+ * @param {string} stored - Encoded hash produced by hashPassword
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+export const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, "hex");
+  const derived = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, derived);
+};
@@ -0,0 +1,103 @@
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Escape characters with a meaning in regular expressions so user input
+ * can only ever match literally
+ * @param {string} value - Raw user input
+ * @returns {string}
+ */
+export const escapeRegex = (value) =>
+  value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+export const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Split a search string into the plain terms used for fallback matching and
+ * highlighting. Negated terms (`-word`) and quote marks are dropped.
+ * @param {string} search - Raw search string
+ * @returns {string[]}
+ */
+export const searchTerms = (search) =>
+  search
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith("-"))
+    .slice(0, 10);
+
+/**
+ * Case-insensitive regex matching any of the terms literally
+ * @param {string[]} terms - Search terms
+ * @returns {RegExp}
+ */
+export const termsRegex = (terms) =>
+  new RegExp(terms.map(escapeRegex).join("|"), "gi");
+
+/**
+ * Wrap every term occurrence in `<mark>`, HTML-escaping the rest of the text.
+ * Long values are cut down to a snippet around the first match.
+ * @param {string} value - Field value
+ * @param {RegExp} pattern - From termsRegex
+ * @returns {string|null} Highlighted HTML, or null when nothing matched
+ */
+const highlightValue = (value, pattern) => {
+  if (typeof value !== "string") return null;
+
+  pattern.lastIndex = 0;
+  const first = pattern.exec(value);
+  if (!first) return null;
+
+  let text = value;
+  let prefix = "";
+  let suffix = "";
+  if (value.length > SNIPPET_RADIUS * 2) {
+    const start = Math.max(0, first.index - SNIPPET_RADIUS);
+    const end = Math.min(value.length, first.index + first[0].length + SNIPPET_RADIUS);
+    text = value.slice(start, end);
+    prefix = start > 0 ? "…" : "";
+    suffix = end < value.length ? "…" : "";
+  }
+
+  let html = "";
+  let last = 0;
+  pattern.lastIndex = 0;
+  for (const match of text.matchAll(pattern)) {
+    html += escapeHtml(text.slice(last, match.index));
+    html += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  html += escapeHtml(text.slice(last));
+
+  return `${prefix}${html}${suffix}`;
+};
+
+/**
+ * Highlighted versions of the fields of a document that contain a term
+ * @param {Object} doc - Result document
+ * @param {string[]} terms - Search terms
+ * @param {string[]} fields - Fields to look at
+ * @returns {Object} `{ field: html }` for each field with a match
+ */
+export const highlightMatches = (doc, terms, fields) => {
+  if (!terms.length) return {};
+  const pattern = termsRegex(terms);
+
+  return Object.fromEntries(
+    fields
+      .map((field) => [field, highlightValue(doc[field], pattern)])
+      .filter(([, html]) => html !== null)
+  );
+};
@@ -0,0 +1,59 @@
+import { HttpError } from "./httpError.js";
+
+/**
+ * Build a small state machine from a transition table of the form
+ * `{ From: { To: ["role", ...] } }`, i.e. which roles may move a document
+ * from one status to another.
+ * @param {Object} transitions - Transition table
+ */
+export const createStateMachine = (transitions) => {
+  const allowedRoles = (from, to) => transitions[from]?.[to] || [];
+
+  return {
+    /**
+     * Statuses the given role may move to from `from`
+     * @param {string} from - Current status
+     * @param {string} role - Acting role
+     * @returns {string[]}
+     */
+    nextStates: (from, role) =>
+      Object.keys(transitions[from] || {}).filter((to) =>
+        allowedRoles(from, to).includes(role)
+      ),
+
+    /**
+     * Throw a 409 when the move does not exist and a 403 when it exists
+     * but not for this role
+     * @param {string} from - Current status
+     * @param {string} to - Requested status
+     * @param {string} role - Acting role
+     */
+    assertTransition: (from, to, role) => {
+      const roles = allowedRoles(from, to);
+      if (!roles.length) {
+        throw new HttpError(409, `Cannot change status from ${from} to ${to}`);
+      }
+      if (!roles.includes(role)) {
+        throw new HttpError(403, `Only the ${roles.join(" or ")} can change status to ${to}`);
+      }
+    },
+  };
+};
+
+/**
+ * Entry for a document's `statusHistory` array
+ * @param {Object} params
+ * @param {string|null} params.from - Previous status
+ * @param {string} params.to - New status
+ * @param {Object} params.user - Acting user (`req.user`)
+ * @param {string} params.role - Role the user acted as
+ * @param {string} [params.reason] - Optional explanation
+ */
+export const historyEntry = ({ from, to, user, role, reason }) => ({
+  from,
+  to,
+  by: user.email,
+  role,
+  reason: reason || null,
+  at: new Date(),
+});
@@ -0,0 +1,180 @@
+import { escapeHtml } from "./search.js";
+
+/**
+ * A small logic-less template language, enough for our notification emails:
+ *
+ * - `{{path}}` prints a value, HTML-escaped. `{{{path}}}` prints it raw.
+ * - `{{#if path}}...{{else}}...{{/if}}` and `{{#unless path}}...{{/unless}}`
+ * - `{{#each path}}...{{else}}...{{/each}}`, inside it `{{this}}` is the item
+ *   and its fields are looked up first
+ * - `{{> name key=path key2="text"}}` renders a partial with extra values
+ *
+ * Paths are dotted (`order.foodName`) and resolve from the innermost scope out.
+ */
+
+const TAG = /\{\{\{\s*([\w.@]+)\s*\}\}\}|\{\{\s*([#/>]?)\s*([^}]*?)\s*\}\}/g;
+const ARG = /(\w+)=(?:"([^"]*)"|([\w.@]+))/g;
+
+const parse = (source, name) => {
+  const root = { children: [] };
+  const stack = [root];
+  let current = root.children;
+  let last = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    if (match.index > last) {
+      current.push({ type: "text", value: source.slice(last, match.index) });
+    }
+    last = match.index + match[0].length;
+
+    const [, rawPath, sigil, body] = match;
+    if (rawPath) {
+      current.push({ type: "var", path: rawPath, raw: true });
+      continue;
+    }
+
+    const [keyword, ...rest] = body.split(/\s+/);
+    if (sigil === "#") {
+      const node = { type: keyword, path: rest[0], children: [], inverse: [] };
+      if (!["if", "unless", "each"].includes(keyword) || !node.path) {
+        throw new Error(`Template ${name}: unknown block "{{#${body}}}"`);
+      }
+      current.push(node);
+      stack.push(node);
+      current = node.children;
+    } else if (sigil === "/") {
+      const node = stack.pop();
+      if (node === root || node.type !== keyword) {
+        throw new Error(`Template ${name}: unexpected "{{/${keyword}}}"`);
+      }
+      current = stack[stack.length - 1].children;
+    } else if (sigil === ">") {
+      const args = {};
+      for (const [, key, literal, path] of body.slice(keyword.length).matchAll(ARG)) {
+        args[key] = literal !== undefined ? { literal } : { path };
+      }
+      current.push({ type: "partial", name: keyword, args });
+    } else if (keyword === "else" && stack.length > 1) {
+      current = stack[stack.length - 1].inverse;
+    } else {
+      current.push({ type: "var", path: body, raw: false });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Template ${name}: unclosed "{{#${stack.pop().type}}}"`);
+  }
+  if (last < source.length) {
+    current.push({ type: "text", value: source.slice(last) });
+  }
+  return root.children;
+};
+
+const lookup = (scopes, path) => {
+  if (path === "this") return scopes[scopes.length - 1];
+  const [head, ...tail] = path.split(".");
+
+  for (let i = scopes.length - 1; i >= 0; i -= 1) {
+    const scope = scopes[i];
+    if (scope !== null && typeof scope === "object" && head in scope) {
+      return tail.reduce((value, key) => value?.[key], scope[head]);
+    }
+  }
+  return undefined;
+};
+
+const isTruthy = (value) =>
+  Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+/**
+ * Compile templates that can include each other as partials
+ * @param {Object} options
+ * @param {(name: string) => string} options.load - Returns a template's source by name
+ * @param {boolean} [options.cache=true] - Keep compiled templates, turn off to pick up edits
+ * @returns {Object} `render(name, data, options?)` and `renderString(source, data, options?)`,
+ *   options take an `escape` function used for `{{path}}` (HTML escaping by default)
+ */
+export const createTemplateEngine = ({ load, cache = true }) => {
+  const compiled = new Map();
+
+  const getTemplate = (name) => {
+    if (!cache) return parse(load(name), name);
+    if (!compiled.has(name)) {
+      compiled.set(name, parse(load(name), name));
+    }
+    return compiled.get(name);
+  };
+
+  const renderNodes = (nodes, scopes, escape) =>
+    nodes
+      .map((node) => {
+        switch (node.type) {
+          case "text":
+            return node.value;
+          case "var": {
+            const value = lookup(scopes, node.path);
+            if (value === undefined || value === null) return "";
+            return node.raw ? String(value) : escape(value);
+          }
+          case "if":
+          case "unless": {
+            const truthy = isTruthy(lookup(scopes, node.path));
+            const branch = truthy === (node.type === "if") ? node.children : node.inverse;
+            return renderNodes(branch, scopes, escape);
+          }
+          case "each": {
+            const items = lookup(scopes, node.path);
+            if (!isTruthy(items)) return renderNodes(node.inverse, scopes, escape);
+            return [].concat(items)
+              .map((item) => renderNodes(node.children, [...scopes, item], escape))
+              .join("");
+          }
+          case "partial": {
+            const args = Object.fromEntries(
+              Object.entries(node.args).map(([key, arg]) => [
+                key,
+                "literal" in arg ? arg.literal : lookup(scopes, arg.path),
+              ])
+            );
+            return renderNodes(getTemplate(node.name), [...scopes, args], escape);
+          }
+          default:
+            return "";
+        }
+      })
+      .join("");
+
+  return {
+    render: (name, data, { escape = escapeHtml } = {}) =>
+      renderNodes(getTemplate(name), [data], escape),
+    renderString: (source, data, { escape = escapeHtml } = {}) =>
+      renderNodes(parse(source, "inline"), [data], escape),
+  };
+};
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'", nbsp: " " };
+
+/**
+ * Derive a readable plain-text part from rendered email HTML
+ * @param {string} html - Rendered HTML
+ * @returns {string}
+ */
+export const htmlToText = (html) =>
+  html
+    .replace(/<(head|style|script)[\s\S]*?<\/\1>/gi, "")
+    // Layout comes from the markup, not from how the template was indented
+    .replace(/\s+/g, " ")
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, text) =>
+      text.trim() === href ? href : `${text} (${href})`
+    )
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "- ")
+    .replace(/<\/(p|h[1-6]|table)>/gi, "\n\n")
+    .replace(/<\/(div|li|tr)>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, entity) => ENTITIES[entity])
+    .split("\n")
+    .map((line) => line.trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
@@ -0,0 +1,50 @@
+// Zone pickup windows are checked in (config/pickupSlots.js) and shown in emails
+export const PICKUP_TIME_ZONE = process.env.PICKUP_TIME_ZONE || "UTC";
+
+/**
+ * How far `timeZone` is ahead of UTC at a given instant, in milliseconds
+ * @param {number} instant - Epoch milliseconds
+ * @param {string} timeZone - IANA zone, e.g. "Asia/Dhaka"
+ * @returns {number}
+ */
+const zoneOffset = (instant, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    })
+      .formatToParts(new Date(instant))
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallClock - Math.floor(instant / 1000) * 1000;
+};
+
+/**
+ * Last millisecond of a calendar day as seen in `timeZone`. The day is the
+ * UTC date of `date`, which is how date-only values like exDate are stored.
+ * @param {Date|string} date
+ * @param {string} timeZone - IANA zone
+ * @returns {Date}
+ */
+export const endOfDayInZone = (date, timeZone) => {
+  const day = new Date(date);
+  const nextMidnight = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() + 1);
+  // The offset can change across the shift itself (DST), so check it again there
+  let start = nextMidnight - zoneOffset(nextMidnight, timeZone);
+  start = nextMidnight - zoneOffset(start, timeZone);
+  return new Date(start - 1);
+};